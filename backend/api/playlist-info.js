@@ -10,7 +10,7 @@
  * Returns: {
  *   title: string,
  *   videoCount: number,
- *   videos: [{ id, title, durationMinutes }]
+ *   videos: [{ id, title, durationMinutes, chapters?: [{ title, startMinutes }] }]
  * }
  */
 
@@ -19,6 +19,9 @@ const NodeCache = require('node-cache');
 // Cache for 1 hour (3600 seconds)
 const cache = new NodeCache({ stdTTL: 3600 });
 
+// YouTube only shows chapters for at least three timestamps starting at 0:00
+const MIN_CHAPTER_COUNT = 3;
+
 // Rate limiting: Simple in-memory IP tracking
 const rateLimits = new Map();
 const MAX_REQUESTS_PER_MINUTE = 10;
@@ -196,12 +199,17 @@ async function fetchPlaylistData(playlistId, apiKey) {
     // Step 3: Get video details including durations
     const videos = await fetchVideoDurations(videoIds, apiKey);
     
-    // Step 4: Parse ISO-8601 durations to minutes
-    const videosWithMinutes = videos.map(video => ({
-      id: video.id,
-      title: video.title,
-      durationMinutes: parseISO8601Duration(video.duration)
-    }));
+    // Step 4: Parse ISO-8601 durations to minutes and chapters from descriptions
+    const videosWithMinutes = videos.map(video => {
+      const durationMinutes = parseISO8601Duration(video.duration);
+      const chapters = parseChapters(video.description, durationMinutes);
+      return {
+        id: video.id,
+        title: video.title,
+        durationMinutes,
+        ...(chapters.length > 0 ? { chapters } : {})
+      };
+    });
     
     return {
       title: playlistTitle,
@@ -295,6 +303,7 @@ async function fetchVideoDurations(videoIds, apiKey) {
       videos.push({
         id: item.id,
         title: item.snippet.title,
+        description: item.snippet.description || '',
         duration: item.contentDetails.duration // ISO 8601 format
       });
     });
@@ -325,6 +334,59 @@ function parseISO8601Duration(duration) {
   return hours * 60 + minutes + Math.ceil(seconds / 60);
 }
 
+/**
+ * Parses chapter timestamps from a video description
+ * Accepts lines like "0:00 Intro", "(12:30) - Setup" or "Wrap-up 1:02:15"
+ * Returns [] unless the list looks like real YouTube chapters:
+ * at least MIN_CHAPTER_COUNT entries, first at 0:00, strictly ascending
+ */
+function parseChapters(description, durationMinutes) {
+  if (!description || typeof description !== 'string') {
+    return [];
+  }
+
+  const timestamp = '[\\[(]?((?:\\d{1,2}:)?\\d{1,2}:\\d{2})[\\])]?';
+  const leadingPattern = new RegExp(`^\\s*${timestamp}\\s*(.*)$`);
+  const trailingPattern = new RegExp(`^(.*?)\\s*${timestamp}\\s*$`);
+  const chapters = [];
+
+  description.split(/\r?\n/).forEach(line => {
+    let stamp = null;
+    let title = '';
+
+    const leading = line.match(leadingPattern);
+    const trailing = leading ? null : line.match(trailingPattern);
+    if (leading) {
+      stamp = leading[1];
+      title = leading[2];
+    } else if (trailing) {
+      stamp = trailing[2];
+      title = trailing[1];
+    } else {
+      return;
+    }
+
+    const seconds = stamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    const startMinutes = seconds / 60;
+    if (durationMinutes > 0 && startMinutes >= durationMinutes) return;
+
+    title = title.replace(/^[\s\-–—:|•]+|[\s\-–—:|•]+$/g, '').trim();
+    chapters.push({ title: title || `Chapter ${chapters.length + 1}`, startMinutes });
+  });
+
+  if (chapters.length < MIN_CHAPTER_COUNT || chapters[0].startMinutes !== 0) {
+    return [];
+  }
+
+  for (let i = 1; i < chapters.length; i++) {
+    if (chapters[i].startMinutes <= chapters[i - 1].startMinutes) {
+      return [];
+    }
+  }
+
+  return chapters;
+}
+
 /**
  * Creates an error object with status code
  */
@@ -2,8 +2,17 @@
  * background.js
  * PlanYT Background Service Worker
  * Handles messages from content scripts to open the extension popup
+ * and to update plan progress through the shared plan logic
+ * Owns "Play today's plan" session state across YouTube navigation
  */
 
+importScripts('/core/storage.js', '/core/calendar.js', '/core/planner.js', '/core/ledger.js', '/core/plans.js', '/core/migrations.js', '/core/session.js', '/core/api.js', '/core/settings.js', '/core/sync.js');
+
+// Bring stored data up to the current schema whenever the worker starts, then sync
+runMigrations()
+  .then(() => scheduleSync(0))
+  .catch(error => console.error('PlanYT: Storage migration failed', error));
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle request to open PlanYT popup
@@ -21,10 +30,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
-  // Open a specific plan by playlistId (widget -> background -> popup)
+  // Open a specific plan by planId, falling back to playlistId (widget -> background -> popup)
   if (message.type === 'OPEN_SPECIFIC_PLAN') {
     const playlistId = message.playlistId || null;
-    const pending = { type: 'openPlan', playlistId };
+    const planId = message.planId || null;
+    const pending = { type: 'openPlan', playlistId, planId };
     chrome.storage.local.set({ pendingPopupAction: pending }, () => {
       chrome.action.openPopup().catch(err => console.error('PlanYT: Failed to open popup', err));
       sendResponse({ success: true });
@@ -43,7 +53,250 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true;
   }
+
+  // The popup brings storage up to date through the worker so only one context migrates
+  if (message.type === 'RUN_MIGRATIONS') {
+    runMigrations()
+      .then(version => sendResponse({ success: true, version }))
+      .catch((error) => {
+        console.error('PlanYT: Storage migration failed', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Mark a segment watched on the YouTube player as complete
+  if (message.type === 'MARK_SEGMENT_COMPLETE') {
+    setSegmentCompleted(message, true)
+      .then(success => sendResponse({ success }))
+      .catch((error) => {
+        console.error('PlanYT: Failed to mark segment complete', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Tick a segment on or off from the widget checklist
+  if (message.type === 'SET_SEGMENT_COMPLETED') {
+    setSegmentCompleted(message, message.completed === true)
+      .then(success => sendResponse({ success }))
+      .catch((error) => {
+        console.error('PlanYT: Failed to update segment', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Start a session for today's plan day (popup or widget)
+  if (message.type === 'START_TODAY_SESSION') {
+    startTodaySession(message.planId, sender.tab ? sender.tab.id : null)
+      .then(result => sendResponse(result))
+      .catch((error) => {
+        console.error('PlanYT: Failed to start session', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Report the session to the tab it is playing in
+  if (message.type === 'GET_SESSION') {
+    getSession()
+      .then(session => sendResponse({ session: session && sender.tab && session.tabId === sender.tab.id ? session : null }))
+      .catch(() => sendResponse({ session: null }));
+    return true;
+  }
+
+  // Current session segment finished playing (or was skipped): move on
+  if (message.type === 'SESSION_SEGMENT_FINISHED') {
+    advanceSession(sender.tab ? sender.tab.id : null, message.index, message.skipped !== true)
+      .then(result => sendResponse(result))
+      .catch((error) => {
+        console.error('PlanYT: Failed to advance session', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  // Add real watch time reported by the player to the plan's ledger
+  if (message.type === 'RECORD_WATCH_TIME') {
+    queueLedgerWrite(message.planId, message.entries)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('PlanYT: Failed to record watch time', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'STOP_SESSION') {
+    clearSession().then(() => sendResponse({ success: true }));
+    return true;
+  }
 });
 
+// Keyboard shortcuts (chrome.commands); "_execute_action" opens the popup without a handler
+// The rest are forwarded to the content scripts of the tab they were pressed in
+// "next-segment" works anywhere: outside a watch page it opens the next planned segment
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || tab.id === undefined) {
+    if (command === 'next-segment') openNextPlanSegment();
+    return;
+  }
+
+  chrome.tabs.sendMessage(tab.id, { type: 'PLANYT_COMMAND', command }, (response) => {
+    // Not a YouTube tab, or no script replied; reading lastError keeps it from being reported
+    void chrome.runtime.lastError;
+    if (command === 'next-segment' && !(response && response.handled)) {
+      openNextPlanSegment();
+    }
+  });
+});
+
+/**
+ * Focus a YouTube tab already playing the active plan's next segment, or open one
+ */
+async function openNextPlanSegment() {
+  try {
+    const plan = await getActivePlan();
+    const next = buildTodaySession(plan, null);
+    if (!next) return;
+
+    const entry = next.segments[0];
+    const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/watch*' });
+    const existing = tabs.find(tab => {
+      const match = (tab.url || '').match(/[?&]v=([a-zA-Z0-9_-]+)/);
+      return match && match[1] === entry.videoId;
+    });
+
+    if (existing) {
+      await chrome.tabs.update(existing.id, { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+    } else {
+      await chrome.tabs.create({ url: getSessionSegmentUrl(entry) });
+    }
+  } catch (error) {
+    console.error('PlanYT: Failed to open the next segment', error);
+  }
+}
+
+// Ledger writes are read-modify-write; run them one at a time so tabs don't overwrite each other.
+// The first waits for the storage migration, which may rewrite ledgers.
+let ledgerWriteQueue = runMigrations().catch(() => {});
+
+function queueLedgerWrite(planId, entries) {
+  const write = ledgerWriteQueue.then(() => recordWatchTime(planId, entries));
+  ledgerWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Syncs run one at a time; bursts of local edits are batched into one push
+const SYNC_LOCAL_DELAY = 5000;
+const SYNC_REMOTE_DELAY = 1000;
+let syncQueue = Promise.resolve();
+let syncTimer = null;
+
+function scheduleSync(delay) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncQueue = syncQueue.then(syncPlans).catch(() => {});
+  }, delay);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    if (Object.keys(changes).some(key => key.startsWith(SYNC_ITEM_PREFIX))) {
+      scheduleSync(SYNC_REMOTE_DELAY);
+    }
+    return;
+  }
+  if (areaName !== 'local') return;
+
+  if (changes[PLANS_STORAGE_KEY] || changes[SYNC_TOMBSTONES_STORAGE_KEY]) {
+    scheduleSync(SYNC_LOCAL_DELAY);
+  }
+  // Turning sync on merges right away
+  const settingsChange = changes[SETTINGS_STORAGE_KEY];
+  if (settingsChange && settingsChange.newValue && settingsChange.newValue.syncEnabled &&
+      !(settingsChange.oldValue && settingsChange.oldValue.syncEnabled)) {
+    scheduleSync(0);
+  }
+});
+
+// End the session when its tab goes away
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const session = await getSession();
+  if (session && session.tabId === tabId) {
+    await clearSession();
+  }
+});
+
+/**
+ * Start a session for a plan (active plan by default) and open its first segment
+ * Reuses the sender's tab when started from YouTube, otherwise opens a new tab
+ */
+async function startTodaySession(planId, tabId) {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === (planId || plansData.activePlanId));
+  const session = buildTodaySession(plan, tabId);
+  if (!session) {
+    return { success: false, error: 'Nothing left to watch today' };
+  }
+
+  // Save before navigating: the page's content script asks for the session as soon as it loads
+  if (!session.tabId) {
+    const tab = await chrome.tabs.create({ url: 'about:blank' });
+    session.tabId = tab.id;
+  }
+  await saveSession(session);
+  await chrome.tabs.update(session.tabId, { url: getSessionSegmentUrl(session.segments[0]) });
+  return { success: true, session };
+}
+
+/**
+ * Complete the session's current segment (unless skipped) and navigate to the next one
+ * The index guards against a finished report arriving twice for the same segment
+ */
+async function advanceSession(tabId, index, markComplete = true) {
+  const session = await getSession();
+  if (!session || session.tabId !== tabId || session.index !== index) {
+    return { success: false, error: 'No matching session' };
+  }
+
+  const entry = session.segments[session.index];
+  if (markComplete) {
+    await setSegmentCompleted({
+      planId: session.planId,
+      dayIndex: session.dayIndex,
+      videoIndex: entry.videoIndex,
+      videoId: entry.videoId
+    }, true);
+  }
+
+  session.index++;
+  if (session.index >= session.segments.length) {
+    await clearSession();
+    return { success: true, done: true };
+  }
+
+  await saveSession(session);
+  await chrome.tabs.update(tabId, { url: getSessionSegmentUrl(session.segments[session.index]) });
+  return { success: true, done: false, session };
+}
+
+/**
+ * Set a plan segment's completed state on behalf of a content script
+ * Ignores the request if the plan changed and the indices no longer point at the video
+ */
+async function setSegmentCompleted({ planId, dayIndex, videoIndex, videoId }, completed) {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === planId);
+  const dayData = plan && plan.planData ? plan.planData[dayIndex] : null;
+  const segment = dayData && dayData.videos ? dayData.videos[videoIndex] : null;
+  if (!segment || segment.id !== videoId) return false;
+  if ((segment.completed === true) === completed) return true;
+
+  return toggleVideoCompleted(planId, dayIndex, videoIndex, completed);
+}
+
 // Optional: Log when service worker starts
 console.log('PlanYT: Background service worker initialized');
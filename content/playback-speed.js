@@ -0,0 +1,155 @@
+/**
+ * playback-speed.js
+ * PlanYT Playback Speed - Applies the active plan's speed on its videos
+ * Sets the player's playbackRate once per video; a manual change by the viewer wins
+ * for the rest of that video. YouTube resets the rate itself around ads and source or
+ * quality swaps; those changes are not the viewer's, so the plan speed is re-applied.
+ * Speeds actually used are logged by segment-tracker.js.
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = {
+    STORAGE_KEY: 'playlistPlans',
+    VIDEO_SELECTOR: 'video.html5-main-video',
+    AD_SHOWING_SELECTOR: '.html5-video-player.ad-showing',
+    CHECK_INTERVAL: 1000,
+    // HTMLMediaElement.HAVE_CURRENT_DATA; below it the player is still (re)loading
+    MIN_READY_STATE: 2
+  };
+
+  const STATE = {
+    videoId: null,
+    videoElement: null,
+    // Speed to apply on the current video, or null if it isn't planned / the plan opted out
+    targetRate: null,
+    hasApplied: false,
+    // The viewer picked another speed for this video
+    isOverridden: false
+  };
+
+  function getPlansFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
+        resolve(result[CONFIG.STORAGE_KEY] || { plans: [], activePlanId: null });
+      });
+    });
+  }
+
+  /**
+   * Resolve the speed for the current video from the active plan
+   */
+  async function refreshTargetRate() {
+    const videoId = STATE.videoId;
+    const plansData = await getPlansFromStorage();
+    if (videoId !== STATE.videoId) return;
+
+    const activePlan = (plansData.plans || []).find(plan => plan.id === plansData.activePlanId);
+    const isEnabled = activePlan && activePlan.autoApplySpeed !== false && activePlan.playbackSpeed;
+    STATE.targetRate = isEnabled && planContainsVideo(activePlan, videoId) ? activePlan.playbackSpeed : null;
+    applyRate();
+  }
+
+  function isAdShowing() {
+    return document.querySelector(CONFIG.AD_SHOWING_SELECTOR) !== null;
+  }
+
+  /**
+   * Whether the main video is loaded and playing content, so rate changes come from the viewer
+   */
+  function isPlayerSettled(video) {
+    return video.readyState >= CONFIG.MIN_READY_STATE && !isAdShowing();
+  }
+
+  function applyRate() {
+    const video = STATE.videoElement;
+    if (!video || STATE.targetRate === null || STATE.hasApplied || STATE.isOverridden) return;
+    // Wait for the video itself; YouTube sets its own rate while loading and during ads
+    if (!isPlayerSettled(video)) return;
+
+    STATE.hasApplied = true;
+    if (video.playbackRate !== STATE.targetRate) {
+      video.playbackRate = STATE.targetRate;
+    }
+  }
+
+  function handlePlaying() {
+    applyRate();
+  }
+
+  function handleRateChange(event) {
+    if (!STATE.hasApplied || STATE.targetRate === null || STATE.isOverridden) return;
+    if (event.target.playbackRate === STATE.targetRate) return;
+
+    if (isPlayerSettled(event.target)) {
+      STATE.isOverridden = true;
+      return;
+    }
+    // YouTube's own reset: apply the plan speed again once the video is back
+    STATE.hasApplied = false;
+  }
+
+  // A new source (ad, quality or format swap) comes with YouTube's default rate
+  function handleLoadStart() {
+    if (!STATE.isOverridden) {
+      STATE.hasApplied = false;
+    }
+  }
+
+  function attachToVideo() {
+    const video = document.querySelector(CONFIG.VIDEO_SELECTOR);
+    if (video === STATE.videoElement) return;
+
+    if (STATE.videoElement) {
+      STATE.videoElement.removeEventListener('playing', handlePlaying);
+      STATE.videoElement.removeEventListener('ratechange', handleRateChange);
+      STATE.videoElement.removeEventListener('loadstart', handleLoadStart);
+    }
+
+    STATE.videoElement = video;
+
+    if (video) {
+      video.addEventListener('playing', handlePlaying);
+      video.addEventListener('ratechange', handleRateChange);
+      video.addEventListener('loadstart', handleLoadStart);
+    }
+  }
+
+  function handleNavigation() {
+    const videoId = extractVideoIdFromPage();
+    if (videoId !== STATE.videoId) {
+      STATE.videoId = videoId;
+      STATE.targetRate = null;
+      STATE.hasApplied = false;
+      STATE.isOverridden = false;
+      if (videoId) {
+        attachToVideo();
+        refreshTargetRate();
+      }
+      return;
+    }
+
+    if (videoId) {
+      attachToVideo();
+      // Picks up a pending re-apply once an ad ends without a 'playing' event
+      applyRate();
+    }
+  }
+
+  function setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[CONFIG.STORAGE_KEY] || !STATE.videoId) return;
+      refreshTargetRate();
+    });
+  }
+
+  function init() {
+    setupStorageListener();
+    window.addEventListener('yt-navigate-finish', handleNavigation);
+    setInterval(handleNavigation, CONFIG.CHECK_INTERVAL);
+    handleNavigation();
+  }
+
+  init();
+})();
@@ -0,0 +1,183 @@
+/**
+ * playlist-badges.js
+ * PlanYT Playlist Badges - Per-video plan info in YouTube's playlist lists
+ * Tags each entry of the watch-page playlist panel and the /playlist page with its planned day
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = {
+    STORAGE_KEY: 'playlistPlans',
+    BADGE_CLASS: 'planyt-badge',
+    STYLE_ID: 'planyt-badge-styles',
+    // Watch-page panel entries and /playlist page rows
+    RENDERER_SELECTOR: 'ytd-playlist-panel-video-renderer, ytd-playlist-video-renderer',
+    LINK_SELECTOR: 'a#wc-endpoint, a#video-title',
+    META_SELECTOR: '#meta',
+    UPDATE_DEBOUNCE: 300
+  };
+
+  const STATE = {
+    plan: null,
+    playlistId: null,
+    observer: null,
+    updateDebounceTimer: null
+  };
+
+  function getPlansFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
+        const data = result[CONFIG.STORAGE_KEY] || { plans: [], activePlanId: null };
+        resolve(data.plans || []);
+      });
+    });
+  }
+
+  /**
+   * Reload the plan for the current playlist, then redraw every badge
+   */
+  async function refreshPlan() {
+    const playlistId = extractPlaylistIdFromPage();
+    const plans = playlistId ? await getPlansFromStorage() : [];
+    const preferredPlanId = await getPlanChoice(playlistId);
+    if (playlistId !== extractPlaylistIdFromPage()) return;
+
+    STATE.playlistId = playlistId;
+    STATE.plan = findMatchingPlan(playlistId, plans, preferredPlanId);
+    applyBadges();
+  }
+
+  function getRendererVideoId(renderer) {
+    const link = renderer.querySelector(CONFIG.LINK_SELECTOR);
+    const href = link ? link.getAttribute('href') : null;
+    const match = href ? href.match(/[?&]v=([a-zA-Z0-9_-]+)/) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Describe a video's place in the plan
+   * @returns {{text:string, completed:boolean}|null} null if the plan doesn't schedule the video
+   */
+  function describeVideo(videoId) {
+    const segments = getVideoSegments(STATE.plan, videoId);
+    if (segments.length === 0) return null;
+
+    const days = segments.map(entry => entry.day);
+    const firstDay = Math.min(...days);
+    const lastDay = Math.max(...days);
+    const completedCount = segments.filter(entry => entry.completed).length;
+    const completed = completedCount === segments.length;
+
+    let text = firstDay === lastDay ? `Day ${firstDay}` : `Day ${firstDay}–${lastDay}`;
+    if (segments.length > 1) {
+      text += ` · ${completedCount}/${segments.length} parts`;
+    } else if (segments[0].segment.isPartial) {
+      text += ` · ${formatSegmentRange(segments[0].segment)}`;
+    }
+
+    return { text: completed ? `✓ ${text}` : text, completed };
+  }
+
+  /**
+   * Add, update or remove the badge of every rendered playlist entry
+   * YouTube recycles renderers for other videos, so badges are matched by video id each pass
+   */
+  function applyBadges() {
+    document.querySelectorAll(CONFIG.RENDERER_SELECTOR).forEach(renderer => {
+      const meta = renderer.querySelector(CONFIG.META_SELECTOR);
+      const existing = renderer.querySelector(`.${CONFIG.BADGE_CLASS}`);
+      const videoId = getRendererVideoId(renderer);
+      const info = STATE.plan && videoId ? describeVideo(videoId) : null;
+
+      if (!info || !meta) {
+        if (existing) existing.remove();
+        return;
+      }
+
+      const badge = existing || document.createElement('span');
+      const className = `${CONFIG.BADGE_CLASS}${info.completed ? ' completed' : ''}`;
+      if (badge.textContent !== info.text) badge.textContent = info.text;
+      if (badge.className !== className) badge.className = className;
+      if (!existing) meta.appendChild(badge);
+    });
+  }
+
+  function scheduleApplyBadges() {
+    clearTimeout(STATE.updateDebounceTimer);
+    STATE.updateDebounceTimer = setTimeout(() => {
+      if (extractPlaylistIdFromPage() !== STATE.playlistId) {
+        refreshPlan();
+      } else {
+        applyBadges();
+      }
+    }, CONFIG.UPDATE_DEBOUNCE);
+  }
+
+  function injectStyles() {
+    if (document.getElementById(CONFIG.STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = CONFIG.STYLE_ID;
+    style.textContent = `
+      .${CONFIG.BADGE_CLASS} {
+        display: inline-block;
+        margin-top: 2px;
+        padding: 1px 6px;
+        font-family: "Roboto", "Arial", sans-serif;
+        font-size: 11px;
+        font-weight: 500;
+        line-height: 16px;
+        color: #ffffff;
+        background-color: rgba(80, 0, 0, 0.6);
+        border-radius: 2px;
+        white-space: nowrap;
+      }
+
+      .${CONFIG.BADGE_CLASS}.completed {
+        background-color: rgba(15, 181, 86, 0.6);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+      if (!changes[CONFIG.STORAGE_KEY] && !changes[PLAN_CHOICES_STORAGE_KEY]) return;
+
+      clearTimeout(STATE.updateDebounceTimer);
+      STATE.updateDebounceTimer = setTimeout(refreshPlan, CONFIG.UPDATE_DEBOUNCE);
+    });
+  }
+
+  /**
+   * Re-apply badges whenever YouTube adds entries or points a recycled entry at another video
+   */
+  function setupObserver() {
+    STATE.observer = new MutationObserver((mutations) => {
+      const isOwnChange = mutations.every(mutation =>
+        mutation.target.classList && mutation.target.classList.contains(CONFIG.BADGE_CLASS)
+      );
+      if (!isOwnChange) {
+        scheduleApplyBadges();
+      }
+    });
+    STATE.observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['href']
+    });
+  }
+
+  function init() {
+    injectStyles();
+    setupStorageListener();
+    setupObserver();
+    window.addEventListener('yt-navigate-finish', refreshPlan);
+    refreshPlan();
+  }
+
+  init();
+})();
@@ -4,6 +4,9 @@
  * Handles playlist ID extraction, plan matching, progress calculations
  */
 
+// Plan picked in the widget for playlists that have several plans: { [playlistId]: planId }
+const PLAN_CHOICES_STORAGE_KEY = 'playlistPlanChoices';
+
 /**
  * Extract playlist ID from current page URL
  * Handles both playlist page and watch page with list parameter
@@ -70,25 +73,49 @@ function calculateRemainingMinutes(planData, currentDay) {
  * Get today's target info from plan
  * @param {Array} planData - Plan data array
  * @param {number} currentDay - Current day (1-indexed)
- * @returns {object} { videosCount, totalMinutes, completed }
+ * @returns {object} { videosCount, totalMinutes, completed, date, type, reviewVideosCount }
  */
 function getTodayTarget(planData, currentDay) {
   if (!Array.isArray(planData) || currentDay > planData.length || currentDay < 1) {
-    return { videosCount: 0, totalMinutes: 0, completed: false };
+    return { videosCount: 0, totalMinutes: 0, completed: false, date: null, type: 'watch', reviewVideosCount: 0 };
   }
   
   const dayData = planData[currentDay - 1];
   if (!dayData) {
-    return { videosCount: 0, totalMinutes: 0, completed: false };
+    return { videosCount: 0, totalMinutes: 0, completed: false, date: null, type: 'watch', reviewVideosCount: 0 };
   }
   
+  const type = dayData.type || 'watch';
   return {
     videosCount: Array.isArray(dayData.videos) ? dayData.videos.length : 0,
     totalMinutes: dayData.totalTime || 0,
-    completed: dayData.completed || false
+    completed: dayData.completed || false,
+    date: dayData.date || null,
+    type,
+    reviewVideosCount: type === 'review' ? countReviewVideos(planData, currentDay - 1) : 0
   };
 }
 
+/**
+ * Count videos completed in the week a review day closes (matches planner.js getReviewVideos)
+ * @param {Array} planData - Plan data array
+ * @param {number} dayIndex - Index of the review day
+ * @returns {number} Distinct videos completed since the previous review day
+ */
+function countReviewVideos(planData, dayIndex) {
+  const seen = new Set();
+  for (let i = dayIndex - 1; i >= 0; i--) {
+    const dayData = planData[i];
+    if (dayData.type === 'review') break;
+    (dayData.videos || []).forEach(video => {
+      if (video.completed || dayData.completed) {
+        seen.add(video.id);
+      }
+    });
+  }
+  return seen.size;
+}
+
 /**
  * Derive progress from plan data (matches plans.js logic)
  * @param {Array} planData - Day-wise plan array
@@ -150,25 +177,67 @@ function deriveProgressFromPlan(planData) {
 }
 
 /**
- * Find plan matching current playlist
+ * Find all plans for a playlist
  * @param {string} playlistId - Current playlist ID
  * @param {Array} allPlans - All saved plans
- * @returns {object|null} Matching plan or null
+ * @returns {Array} Matching plans, in saved order
  */
-function findMatchingPlan(playlistId, allPlans) {
+function findMatchingPlans(playlistId, allPlans) {
   if (!playlistId || !Array.isArray(allPlans) || allPlans.length === 0) {
-    return null;
+    return [];
   }
 
-  // Extract playlistId from plan's playlistUrl
-  const planMatches = allPlans.filter(plan => {
+  // Match the plan's playlistUrl or any member playlist of a combined plan
+  return allPlans.filter(plan => {
+    if (!plan) return false;
+    const memberIds = Array.isArray(plan.playlists) ? plan.playlists.map(playlist => playlist.id) : [];
+    if (memberIds.includes(playlistId)) return true;
     if (!plan.playlistUrl) return false;
     const planPlaylistId = extractPlaylistIdFromUrl(plan.playlistUrl);
     return planPlaylistId === playlistId;
   });
+}
+
+/**
+ * Find plan matching current playlist
+ * @param {string} playlistId - Current playlist ID
+ * @param {Array} allPlans - All saved plans
+ * @param {string|null} preferredPlanId - Plan chosen for this playlist, if any
+ * @returns {object|null} Preferred matching plan, else the first match, else null
+ */
+function findMatchingPlan(playlistId, allPlans, preferredPlanId = null) {
+  const planMatches = findMatchingPlans(playlistId, allPlans);
+  return planMatches.find(plan => plan.id === preferredPlanId) || planMatches[0] || null;
+}
+
+/**
+ * Get the plan chosen for a playlist in the widget
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<string|null>} Plan ID or null
+ */
+function getPlanChoice(playlistId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PLAN_CHOICES_STORAGE_KEY], (result) => {
+      const choices = result[PLAN_CHOICES_STORAGE_KEY] || {};
+      resolve(playlistId ? choices[playlistId] || null : null);
+    });
+  });
+}
 
-  // Return first matching plan
-  return planMatches.length > 0 ? planMatches[0] : null;
+/**
+ * Remember the plan chosen for a playlist
+ * @param {string} playlistId - Playlist ID
+ * @param {string} planId - Chosen plan ID
+ * @returns {Promise<void>}
+ */
+function savePlanChoice(playlistId, planId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([PLAN_CHOICES_STORAGE_KEY], (result) => {
+      const choices = result[PLAN_CHOICES_STORAGE_KEY] || {};
+      choices[playlistId] = planId;
+      chrome.storage.local.set({ [PLAN_CHOICES_STORAGE_KEY]: choices }, () => resolve());
+    });
+  });
 }
 
 /**
@@ -182,6 +251,131 @@ function extractPlaylistIdFromUrl(url) {
   return match ? match[1] : null;
 }
 
+/**
+ * Extract the video ID from a watch page URL
+ * @returns {string|null} Video ID or null if not on a watch page
+ */
+function extractVideoIdFromPage() {
+  if (window.location.pathname !== '/watch') return null;
+  return new URLSearchParams(window.location.search).get('v');
+}
+
+/**
+ * Check whether any day of a plan schedules the given video
+ * @param {object} plan - Saved plan
+ * @param {string} videoId - YouTube video ID
+ * @returns {boolean} True if the plan contains a segment of the video
+ */
+function planContainsVideo(plan, videoId) {
+  if (!plan || !Array.isArray(plan.planData) || !videoId) return false;
+  return plan.planData.some(dayData => (dayData.videos || []).some(video => video.id === videoId));
+}
+
+/**
+ * Find the plan that should track a video being watched
+ * Prefers the plan matching the list param, then the active plan, then any plan with the video
+ * @param {string} videoId - Current video ID
+ * @param {string|null} playlistId - Current list param, if any
+ * @param {object} plansData - Stored { plans, activePlanId }
+ * @param {string|null} preferredPlanId - Plan chosen for the playlist, if any
+ * @returns {object|null} Plan or null
+ */
+function findPlanForVideo(videoId, playlistId, plansData, preferredPlanId = null) {
+  const allPlans = plansData && Array.isArray(plansData.plans) ? plansData.plans : [];
+  if (!videoId || allPlans.length === 0) return null;
+
+  const playlistPlan = findMatchingPlan(playlistId, allPlans, preferredPlanId);
+  if (planContainsVideo(playlistPlan, videoId)) return playlistPlan;
+
+  const activePlan = allPlans.find(plan => plan.id === plansData.activePlanId);
+  if (planContainsVideo(activePlan, videoId)) return activePlan;
+
+  return allPlans.find(plan => planContainsVideo(plan, videoId)) || null;
+}
+
+/**
+ * List a plan's segments of one video in schedule order
+ * Segment times are in video seconds; endSeconds is null when the segment runs to the end
+ * @param {object} plan - Saved plan
+ * @param {string} videoId - YouTube video ID
+ * @returns {Array} [{ dayIndex, day, videoIndex, segment, startSeconds, endSeconds, completed }]
+ */
+function getVideoSegments(plan, videoId) {
+  if (!plan || !Array.isArray(plan.planData)) return [];
+
+  const segments = [];
+  plan.planData.forEach((dayData, dayIndex) => {
+    (dayData.videos || []).forEach((segment, videoIndex) => {
+      if (segment.id !== videoId) return;
+      segments.push({
+        dayIndex,
+        day: dayData.day,
+        videoIndex,
+        segment,
+        startSeconds: (segment.startTime || 0) * 60,
+        endSeconds: segment.endTime !== null && segment.endTime !== undefined ? segment.endTime * 60 : null,
+        completed: segment.completed === true || dayData.completed === true
+      });
+    });
+  });
+  return segments;
+}
+
+/**
+ * Find the next incomplete segment in schedule order after a position in the plan
+ * @param {object} plan - Saved plan
+ * @param {number} dayIndex - Day index to search after (-1 to start from the beginning)
+ * @param {number} videoIndex - Segment index within that day
+ * @returns {object|null} { dayIndex, videoIndex, segment } or null at the end of the plan
+ */
+function findNextPlanSegment(plan, dayIndex, videoIndex) {
+  if (!plan || !Array.isArray(plan.planData)) return null;
+
+  for (let d = Math.max(0, dayIndex); d < plan.planData.length; d++) {
+    const dayData = plan.planData[d];
+    if (dayData.completed) continue;
+
+    const videos = dayData.videos || [];
+    const startIndex = d === dayIndex ? videoIndex + 1 : 0;
+    for (let v = startIndex; v < videos.length; v++) {
+      if (!videos[v].completed) {
+        return { dayIndex: d, videoIndex: v, segment: videos[v] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a watch URL that opens a plan segment at its start
+ * @param {object} segment - Plan segment ({ id, startTime })
+ * @param {string|null} playlistId - Playlist to keep in the URL, if any
+ * @returns {string} Watch page URL
+ */
+function buildSegmentWatchUrl(segment, playlistId) {
+  let url = `https://www.youtube.com/watch?v=${encodeURIComponent(segment.id)}`;
+  if (playlistId) {
+    url += `&list=${encodeURIComponent(playlistId)}`;
+  }
+  const startSeconds = Math.floor((segment.startTime || 0) * 60);
+  if (startSeconds > 0) {
+    url += `&t=${startSeconds}s`;
+  }
+  return url;
+}
+
+/**
+ * Format a segment's time range for display
+ * @param {object} segment - Plan segment ({ startTime, endTime, duration })
+ * @returns {string} Range (e.g., "12m–40m") for partial segments, otherwise the duration
+ */
+function formatSegmentRange(segment) {
+  if (!segment.isPartial) return formatMinutes(segment.duration);
+  const start = segment.startTime ? formatMinutes(segment.startTime) : '0m';
+  const end = segment.endTime ? formatMinutes(segment.endTime) : 'end';
+  return `${start}–${end}`;
+}
+
 /**
  * Debounce function to prevent excessive function calls
  * @param {Function} func - Function to debounce
@@ -2,6 +2,7 @@
  * progress-widget.js
  * PlanYT Progress Widget - YouTube Playlist Sidebar Integration
  * Injects a native-looking progress card into YouTube playlist pages
+ * Two layouts: the watch-page playlist panel ("sidebar") and the /playlist page header ("header")
  */
 
 (function() {
@@ -11,6 +12,8 @@
     WIDGET_ID: 'planyt-progress-widget-container',
     WIDGET_HOST_ID: 'planyt-progress-widget-host',
     SIDEBAR_SELECTOR: 'ytd-playlist-panel-renderer',
+    // Old and new /playlist page header layouts
+    PLAYLIST_HEADER_SELECTOR: 'ytd-playlist-header-renderer, yt-page-header-renderer',
     SECONDARY_SELECTOR: '#secondary',
     CHECK_INTERVAL: 300,
     MAX_INIT_ATTEMPTS: 15,
@@ -21,6 +24,11 @@
   const STATE = {
     initialized: false,
     currentPlaylistId: null,
+    // Plan shown for the current playlist (several plans can share one playlist)
+    currentPlanId: null,
+    layout: null,
+    // Hidden with the toggle-widget shortcut (until the page reloads)
+    isHidden: false,
     shadowRoot: null,
     updateDebounceTimer: null,
     navigationCheckInterval: null,
@@ -54,9 +62,10 @@
           console.warn('PlanYT: Could not remove stale widget', err);
         }
 
-        const playlistPanel = await waitForSidebar();
+        const layout = getWidgetLayout();
+        const playlistPanel = await waitForAnchor(layout === 'header' ? CONFIG.PLAYLIST_HEADER_SELECTOR : CONFIG.SIDEBAR_SELECTOR);
         if (!playlistPanel) {
-          console.warn('PlanYT: Playlist sidebar not found');
+          console.warn(`PlanYT: Playlist ${layout} not found`);
           return;
         }
 
@@ -66,7 +75,7 @@
           return;
         }
 
-        const widget = createWidgetContainer();
+        const widget = createWidgetContainer(layout);
         if (!widget) {
           console.warn('PlanYT: Failed to create widget');
           return;
@@ -90,6 +99,7 @@
           }
         }
 
+        STATE.layout = layout;
         STATE.initialized = true;
       } finally {
         STATE.activeInjectionPromise = null;
@@ -99,11 +109,20 @@
     return STATE.activeInjectionPromise;
   }
 
-  async function waitForSidebar(maxAttempts = CONFIG.MAX_INIT_ATTEMPTS) {
+  /**
+   * Header on the /playlist landing page, sidebar on watch pages
+   */
+  function getWidgetLayout() {
+    return window.location.pathname === '/playlist' ? 'header' : 'sidebar';
+  }
+
+  async function waitForAnchor(selector, maxAttempts = CONFIG.MAX_INIT_ATTEMPTS) {
     for (let i = 0; i < maxAttempts; i++) {
-      const sidebar = document.querySelector(CONFIG.SIDEBAR_SELECTOR);
-      if (sidebar && sidebar.isConnected) {
-        return sidebar;
+      // YouTube keeps hidden copies of previous pages around; prefer the visible one
+      const candidates = Array.from(document.querySelectorAll(selector)).filter(el => el.isConnected);
+      const anchor = candidates.find(el => el.offsetParent !== null) || candidates[0];
+      if (anchor) {
+        return anchor;
       }
 
       await new Promise((resolve) => setTimeout(resolve, CONFIG.CHECK_INTERVAL));
@@ -126,9 +145,11 @@
     STATE.activeInjectionPromise = null;
   }
 
-  function createWidgetContainer() {
+  function createWidgetContainer(layout) {
     const host = document.createElement('div');
     host.id = CONFIG.WIDGET_HOST_ID;
+    host.className = `layout-${layout}`;
+    host.style.display = STATE.isHidden ? 'none' : '';
 
     const shadow = host.attachShadow({ mode: 'open' });
 
@@ -173,7 +194,10 @@
 
     try {
       const plansData = await getPlansFromStorage();
-      const plan = findMatchingPlan(playlistId, plansData);
+      const preferredPlanId = await getPlanChoice(playlistId);
+      const matchingPlans = findMatchingPlans(playlistId, plansData);
+      const plan = findMatchingPlan(playlistId, plansData, preferredPlanId);
+      STATE.currentPlanId = plan ? plan.id : null;
 
       if (!plan) {
         renderEmptyState(container, 'Plan this playlist with PlanYT');
@@ -190,14 +214,42 @@
       if (progress.percent === 100 && progress.completedDays === progress.totalDays) {
         renderCompletedState(container);
       } else {
-        renderActivePlan(container, plan, progress);
+        const ledger = await getWatchLedger(plan.id);
+        renderActivePlan(container, plan, progress, ledger);
       }
+
+      renderPlanSwitcher(container, matchingPlans, plan.id);
     } catch (error) {
       console.warn('PlanYT widget: Error rendering', error);
       renderEmptyState(container, 'Error loading plan');
     }
   }
 
+  /**
+   * Let the viewer pick between plans that share this playlist; the choice is remembered per playlist
+   */
+  function renderPlanSwitcher(container, matchingPlans, currentPlanId) {
+    const title = container.querySelector('.plans-title');
+    if (!title || matchingPlans.length < 2) return;
+
+    const select = document.createElement('select');
+    select.className = 'plan-switcher';
+    select.setAttribute('aria-label', 'Choose plan');
+    matchingPlans.forEach(plan => {
+      const option = document.createElement('option');
+      option.value = plan.id;
+      option.textContent = plan.title;
+      option.selected = plan.id === currentPlanId;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      savePlanChoice(STATE.currentPlaylistId, select.value);
+    });
+
+    title.insertAdjacentElement('afterend', select);
+  }
+
   function renderEmptyState(container, message = 'Plan this playlist with PlanYT') {
     container.innerHTML = `
       <div class="container">
@@ -244,14 +296,36 @@
     }
   }
 
-  function renderActivePlan(container, plan, progress) {
+  function renderActivePlan(container, plan, progress, ledger) {
     const todayTarget = getTodayTarget(plan.planData || [], progress.currentDay);
     const daysRemaining = calculateDaysRemaining(progress.currentDay, progress.totalDays);
     const minutesRemaining = calculateRemainingMinutes(plan.planData || [], progress.currentDay);
 
-    const todayStatus = todayTarget.completed ? 'completed' : '';
-    const todayLabel = todayTarget.completed ? "Today's target completed ✓" : `${todayTarget.videosCount} video${todayTarget.videosCount !== 1 ? 's' : ''}`;
-    const todayTime = formatMinutes(todayTarget.totalMinutes);
+    const isSpecialDay = todayTarget.type !== 'watch';
+    const todayStatus = todayTarget.completed ? 'completed' : (isSpecialDay ? todayTarget.type : '');
+    let todayLabel = `${todayTarget.videosCount} video${todayTarget.videosCount !== 1 ? 's' : ''}`;
+    if (todayTarget.completed) {
+      todayLabel = "Today's target completed ✓";
+    } else if (todayTarget.type === 'buffer') {
+      todayLabel = 'Buffer day · catch up';
+    } else if (todayTarget.type === 'review') {
+      todayLabel = `Review day · ${todayTarget.reviewVideosCount} video${todayTarget.reviewVideosCount !== 1 ? 's' : ''}`;
+    }
+    const todayTime = isSpecialDay ? 'No new videos' : formatMinutes(todayTarget.totalMinutes);
+    const canPlayToday = !todayTarget.completed && !isSpecialDay && todayTarget.videosCount > 0;
+    const todayDay = (plan.planData || [])[progress.currentDay - 1];
+    const watchStats = !isSpecialDay && todayDay ? getDayWatchStats(ledger, todayDay) : null;
+    const actualRow = watchStats ? `
+            <div class="meta-row">
+              <span class="meta-label">Actual</span>
+              <span class="meta-value">${formatMinutes(watchStats.actualMinutes)} of ${formatMinutes(todayTarget.totalMinutes)}${watchStats.actualSpeed ? ` · ${watchStats.actualSpeed}x` : ''}</span>
+            </div>` : '';
+    const scheduledDate = formatDateKey(todayTarget.date);
+    const scheduledRow = scheduledDate ? `
+            <div class="meta-row">
+              <span class="meta-label">Day ${progress.currentDay}</span>
+              <span class="meta-value">${scheduledDate}</span>
+            </div>` : '';
 
     container.innerHTML = `
       <div class="container">
@@ -264,7 +338,7 @@
             </div>
           </div>
 
-          <div class="meta-list" id="progressSection">
+          <div class="meta-list" id="progressSection">${scheduledRow}
             <div class="meta-row">
               <span class="meta-label">Today</span>
               <span class="meta-value ${todayStatus}">${todayLabel}</span>
@@ -276,11 +350,17 @@
             <div class="meta-row">
               <span class="meta-label">Watch time</span>
               <span class="meta-value">${todayTime || formatMinutes(minutesRemaining)}</span>
-            </div>
+            </div>${actualRow}
           </div>
 
-          <div class="plans-footer">
-            <button class="btn btn-secondary" id="planyt-open-cta">Open Plan</button>
+          <ul class="today-list" id="planyt-today-list"></ul>${STATE.layout === 'header' ? `
+
+          <h4 class="overview-title">All days</h4>
+          <ul class="day-overview" id="planyt-day-overview"></ul>` : ''}
+
+          <div class="plans-footer">${canPlayToday ? `
+            <button class="btn btn-secondary" id="planyt-play-today-cta">▶ Play today's plan</button>` : ''}
+            <button class="btn ${canPlayToday ? 'btn-small' : 'btn-secondary'}" id="planyt-open-cta">Open Plan</button>
           </div>
         </section>
       </div>
@@ -290,6 +370,126 @@
     if (btn) {
       btn.addEventListener('click', () => openPlanYTPopup('open'));
     }
+
+    const playBtn = container.querySelector('#planyt-play-today-cta');
+    if (playBtn) {
+      playBtn.addEventListener('click', () => startTodaySession(plan.id));
+    }
+
+    const todayList = container.querySelector('#planyt-today-list');
+    if (todayList && todayDay && !isSpecialDay) {
+      renderTodayChecklist(todayList, plan, progress.currentDay - 1);
+    }
+
+    const dayOverview = container.querySelector('#planyt-day-overview');
+    if (dayOverview) {
+      renderDayOverview(dayOverview, plan, progress.currentDay - 1);
+    }
+  }
+
+  /**
+   * Compact list of every plan day for the header layout
+   */
+  function renderDayOverview(list, plan, currentIndex) {
+    (plan.planData || []).forEach((dayData, index) => {
+      const type = dayData.type || 'watch';
+      const item = document.createElement('li');
+      item.className = `overview-day ${dayData.completed ? 'completed' : ''} ${index === currentIndex ? 'current' : ''}`;
+
+      const label = document.createElement('span');
+      label.className = 'overview-label';
+      const date = formatDateKey(dayData.date);
+      label.textContent = date ? `Day ${dayData.day} · ${date}` : `Day ${dayData.day}`;
+
+      const value = document.createElement('span');
+      value.className = 'overview-value';
+      if (type === 'buffer') {
+        value.textContent = 'Buffer';
+      } else if (type === 'review') {
+        value.textContent = 'Review';
+      } else {
+        const count = (dayData.videos || []).length;
+        value.textContent = `${count} video${count !== 1 ? 's' : ''} · ${formatMinutes(dayData.totalTime)}`;
+      }
+      if (dayData.completed) {
+        value.textContent += ' ✓';
+      }
+
+      item.appendChild(label);
+      item.appendChild(value);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * List today's segments with a checkbox, time range and play link each
+   * Built with DOM APIs since titles come from YouTube
+   */
+  function renderTodayChecklist(list, plan, dayIndex) {
+    const dayData = plan.planData[dayIndex];
+    const playlistId = extractPlaylistIdFromPage();
+
+    (dayData.videos || []).forEach((segment, videoIndex) => {
+      const item = document.createElement('li');
+      item.className = `today-item ${segment.completed ? 'completed' : ''}`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'today-checkbox';
+      checkbox.checked = segment.completed === true;
+      checkbox.setAttribute('aria-label', segment.title);
+      checkbox.addEventListener('change', () => {
+        setSegmentCompleted(plan.id, dayIndex, videoIndex, segment.id, checkbox.checked);
+      });
+
+      const details = document.createElement('div');
+      details.className = 'today-details';
+
+      const title = document.createElement('span');
+      title.className = 'today-title';
+      title.textContent = segment.title;
+      title.title = segment.title;
+
+      const range = document.createElement('span');
+      range.className = 'today-range';
+      range.textContent = formatSegmentRange(segment);
+
+      details.appendChild(title);
+      details.appendChild(range);
+
+      const play = document.createElement('a');
+      play.className = 'today-play';
+      play.href = buildSegmentWatchUrl(segment, playlistId);
+      play.textContent = '▶';
+      play.title = 'Play';
+      play.setAttribute('aria-label', `Play ${segment.title}`);
+
+      item.appendChild(checkbox);
+      item.appendChild(details);
+      item.appendChild(play);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Tick a segment off through the background worker's shared plan update path
+   * The storage change re-renders the widget (and any open popup)
+   */
+  function setSegmentCompleted(planId, dayIndex, videoIndex, videoId, completed) {
+    chrome.runtime.sendMessage({ type: 'SET_SEGMENT_COMPLETED', planId, dayIndex, videoIndex, videoId, completed }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.warn('PlanYT widget: SET_SEGMENT_COMPLETED error', chrome.runtime.lastError || response);
+        renderWidget();
+      }
+    });
+  }
+
+  function startTodaySession(planId) {
+    chrome.runtime.sendMessage({ type: 'START_TODAY_SESSION', planId }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.warn('PlanYT widget: START_TODAY_SESSION error', chrome.runtime.lastError || response);
+      }
+    });
   }
 
   async function getPlansFromStorage() {
@@ -309,7 +509,7 @@
   function setupStorageListener() {
     chrome.storage.onChanged.addListener((changes, areaName) => {
       if (areaName !== 'local') return;
-      if (!changes[CONFIG.STORAGE_KEY]) return;
+      if (!changes[CONFIG.STORAGE_KEY] && !changes[LEDGER_STORAGE_KEY] && !changes[PLAN_CHOICES_STORAGE_KEY]) return;
 
       clearTimeout(STATE.updateDebounceTimer);
       STATE.updateDebounceTimer = setTimeout(() => {
@@ -356,7 +556,7 @@
     } else if (isNowPlaylist) {
       const newPlaylistId = extractPlaylistIdFromPage();
 
-      if (newPlaylistId !== STATE.currentPlaylistId) {
+      if (newPlaylistId !== STATE.currentPlaylistId || getWidgetLayout() !== STATE.layout) {
         removeWidget();
         STATE.initialized = false;
         initialize();
@@ -388,7 +588,8 @@
     const playlistUrl = window.location.href;
 
     if (action === 'open') {
-      chrome.runtime.sendMessage({ type: 'OPEN_SPECIFIC_PLAN', playlistId }, () => {
+      const planId = STATE.currentPlanId;
+      chrome.runtime.sendMessage({ type: 'OPEN_SPECIFIC_PLAN', playlistId, planId }, () => {
         if (chrome.runtime.lastError) console.warn('PlanYT widget: OPEN_SPECIFIC_PLAN error', chrome.runtime.lastError);
       });
       return;
@@ -573,6 +774,144 @@
         color: var(--yt-success);
       }
 
+      .meta-value.buffer {
+        color: var(--yt-text-secondary);
+        font-style: italic;
+      }
+
+      .meta-value.review {
+        color: var(--yt-warning);
+      }
+
+      :host(.layout-header) {
+        display: block;
+        max-width: 480px;
+        margin-top: var(--yt-space-md);
+      }
+
+      :host(.layout-header) .container {
+        padding: 0;
+      }
+
+      .overview-title {
+        margin-top: var(--yt-space-md);
+        font-size: 12px;
+        font-weight: 500;
+        color: var(--yt-text-secondary);
+      }
+
+      .day-overview {
+        list-style: none;
+        max-height: 240px;
+        overflow-y: auto;
+        margin-top: var(--yt-space-xs);
+      }
+
+      .overview-day {
+        display: flex;
+        justify-content: space-between;
+        gap: var(--yt-space-sm);
+        padding: 4px var(--yt-space-sm);
+        font-size: 12px;
+        color: var(--yt-text-secondary);
+        border-radius: var(--yt-radius-sm);
+      }
+
+      .overview-day.current {
+        background-color: rgba(80, 0, 0, 0.45);
+        color: var(--yt-text-primary);
+      }
+
+      .overview-day.completed .overview-value {
+        color: var(--yt-success);
+      }
+
+      .overview-value {
+        color: var(--yt-text-tertiary);
+        white-space: nowrap;
+      }
+
+      .plan-switcher {
+        width: 100%;
+        margin-bottom: var(--yt-space-sm);
+        padding: 4px var(--yt-space-sm);
+        font-family: inherit;
+        font-size: 12px;
+        color: var(--yt-text-primary);
+        background-color: var(--yt-bg-tertiary);
+        border: 1px solid var(--yt-bg-hover);
+        border-radius: var(--yt-radius-sm);
+        cursor: pointer;
+      }
+
+      .today-list {
+        list-style: none;
+        display: flex;
+        flex-direction: column;
+        gap: var(--yt-space-xs);
+        margin-top: var(--yt-space-md);
+      }
+
+      .today-list:empty {
+        display: none;
+      }
+
+      .today-item {
+        display: flex;
+        align-items: center;
+        gap: var(--yt-space-sm);
+        padding: 6px var(--yt-space-sm);
+        background-color: rgba(80, 0, 0, 0.2);
+        border-radius: var(--yt-radius-md);
+      }
+
+      .today-checkbox {
+        flex-shrink: 0;
+        width: 14px;
+        height: 14px;
+        cursor: pointer;
+        accent-color: var(--yt-accent);
+      }
+
+      .today-details {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+        flex: 1;
+      }
+
+      .today-title {
+        font-size: 12px;
+        color: var(--yt-text-primary);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .today-item.completed .today-title {
+        color: var(--yt-text-tertiary);
+        text-decoration: line-through;
+      }
+
+      .today-range {
+        font-size: 11px;
+        color: var(--yt-text-tertiary);
+      }
+
+      .today-play {
+        flex-shrink: 0;
+        font-size: 12px;
+        color: var(--yt-text-secondary);
+        text-decoration: none;
+        padding: 2px 6px;
+        border-radius: var(--yt-radius-full);
+      }
+
+      .today-play:hover {
+        color: var(--yt-text-primary);
+        background-color: var(--yt-bg-hover);
+      }
+
       .progress-section {
         margin-top: var(--yt-space-xs);
       }
@@ -586,6 +925,9 @@
       }
 
       .plans-footer {
+        display: flex;
+        flex-direction: column;
+        gap: var(--yt-space-sm);
         margin-top: var(--yt-space-xs);
         margin-bottom: var(--yt-space-md);
       }
@@ -674,6 +1016,20 @@
     }, 2000);
   }
 
+  function setupCommandListener() {
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type !== 'PLANYT_COMMAND' || message.command !== 'toggle-widget') return;
+
+      STATE.isHidden = !STATE.isHidden;
+      const widgetHost = document.getElementById(CONFIG.WIDGET_HOST_ID);
+      if (widgetHost) {
+        widgetHost.style.display = STATE.isHidden ? 'none' : '';
+      }
+    });
+  }
+
+  setupCommandListener();
+
   if (isPlaylistPage()) {
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,664 @@
+/**
+ * segment-player.js
+ * PlanYT Segment Player - Segment-bounded playback on watch pages
+ * Seeks to the start of today's partial segment and pauses at its end with an overlay
+ * While a "Play today's plan" session runs in this tab, hands finished segments to the
+ * background worker (which opens the next one) and shows a session HUD instead
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = {
+    STORAGE_KEY: 'playlistPlans',
+    OVERLAY_HOST_ID: 'planyt-segment-overlay-host',
+    HUD_HOST_ID: 'planyt-session-hud-host',
+    HUD_DONE_TIMEOUT: 5000,
+    PLAYER_SELECTOR: '#movie_player',
+    VIDEO_SELECTOR: 'video.html5-main-video',
+    AD_SHOWING_SELECTOR: '.html5-video-player.ad-showing',
+    CHECK_INTERVAL: 1000,
+    // Small lead so a seek lands inside the segment rather than on its boundary
+    SEEK_TOLERANCE: 1,
+    // Larger jumps between timeupdate events are seeks, not playback
+    MAX_PLAYBACK_STEP: 5
+  };
+
+  const STATE = {
+    videoId: null,
+    videoElement: null,
+    planId: null,
+    // Segment bounding this video: { dayIndex, videoIndex, segment, startSeconds, endSeconds, completed }
+    target: null,
+    hasSeeked: false,
+    isReleased: false,
+    lastTime: null,
+    // Background-owned session playing in this tab, if any
+    session: null,
+    isFinishing: false
+  };
+
+  function getPlansFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
+        resolve(result[CONFIG.STORAGE_KEY] || { plans: [], activePlanId: null });
+      });
+    });
+  }
+
+  function getSessionForTab() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'GET_SESSION' }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve(null);
+        } else {
+          resolve(response.session);
+        }
+      });
+    });
+  }
+
+  /**
+   * Resolve the active plan if it covers the current video and list param
+   */
+  function getActivePlanForPage(plansData, videoId) {
+    const allPlans = Array.isArray(plansData.plans) ? plansData.plans : [];
+    const activePlan = allPlans.find(plan => plan.id === plansData.activePlanId);
+    if (!planContainsVideo(activePlan, videoId)) return null;
+
+    const playlistId = extractPlaylistIdFromPage();
+    if (playlistId && findMatchingPlan(playlistId, [activePlan]) !== activePlan) return null;
+
+    return activePlan;
+  }
+
+  /**
+   * Pick the segment to bound playback to (first incomplete segment of this video)
+   * Keeps the current target once chosen so completing it mid-playback doesn't jump ahead
+   */
+  async function refreshTarget() {
+    const videoId = STATE.videoId;
+    if (!videoId) return;
+
+    const session = await getSessionForTab();
+    if (videoId !== STATE.videoId) return;
+
+    const sessionEntry = session ? session.segments[session.index] : null;
+    if (sessionEntry && sessionEntry.videoId === videoId) {
+      STATE.session = session;
+      STATE.planId = session.planId;
+      STATE.target = {
+        dayIndex: session.dayIndex,
+        videoIndex: sessionEntry.videoIndex,
+        segment: sessionEntry,
+        startSeconds: sessionEntry.startSeconds,
+        endSeconds: sessionEntry.endSeconds,
+        completed: false
+      };
+      removeOverlay();
+      renderHud();
+      return;
+    }
+
+    STATE.session = null;
+    removeHud();
+
+    const plansData = await getPlansFromStorage();
+    if (videoId !== STATE.videoId) return;
+
+    const plan = getActivePlanForPage(plansData, videoId);
+    const segments = getVideoSegments(plan, videoId);
+
+    if (STATE.target && plan && plan.id === STATE.planId) {
+      const current = segments.find(entry =>
+        entry.dayIndex === STATE.target.dayIndex &&
+        entry.videoIndex === STATE.target.videoIndex &&
+        entry.startSeconds === STATE.target.startSeconds
+      );
+      if (current) {
+        STATE.target = current;
+        updateOverlayState();
+        return;
+      }
+    }
+
+    const next = segments.find(entry => !entry.completed && entry.segment.isPartial);
+    STATE.planId = plan ? plan.id : null;
+    STATE.target = next || null;
+    removeOverlay();
+    seekToSegmentStart();
+  }
+
+  /**
+   * Seek once per video load, unless the URL already asks for a timestamp
+   */
+  function seekToSegmentStart() {
+    const video = STATE.videoElement;
+    const target = STATE.target;
+    if (!video || !target || STATE.hasSeeked || STATE.isReleased) return;
+    if (new URLSearchParams(window.location.search).has('t')) {
+      STATE.hasSeeked = true;
+      return;
+    }
+    if (target.startSeconds <= 0 || isAdShowing()) return;
+
+    STATE.hasSeeked = true;
+    if (video.currentTime < target.startSeconds - CONFIG.SEEK_TOLERANCE) {
+      video.currentTime = target.startSeconds;
+    }
+  }
+
+  function isAdShowing() {
+    return document.querySelector(CONFIG.AD_SHOWING_SELECTOR) !== null;
+  }
+
+  function handleTimeUpdate(event) {
+    const video = event.target;
+    const currentTime = video.currentTime;
+    const lastTime = STATE.lastTime;
+    STATE.lastTime = currentTime;
+
+    if (isAdShowing()) return;
+    seekToSegmentStart();
+
+    const target = STATE.target;
+    if (STATE.session) {
+      updateHud();
+    }
+    if (!target || target.endSeconds === null || STATE.isReleased) return;
+
+    // Only stop when playback crosses the end, not when the viewer seeks past it
+    if (lastTime !== null && lastTime < target.endSeconds && currentTime >= target.endSeconds && currentTime - lastTime <= CONFIG.MAX_PLAYBACK_STEP) {
+      video.pause();
+      if (STATE.session) {
+        finishSessionSegment();
+      } else {
+        showOverlay();
+      }
+    }
+  }
+
+  function handleEnded() {
+    if (STATE.session && STATE.target && STATE.target.endSeconds === null) {
+      finishSessionSegment();
+    }
+  }
+
+  function handleSeeking(event) {
+    STATE.lastTime = event.target.currentTime;
+  }
+
+  function attachToVideo() {
+    const video = document.querySelector(CONFIG.VIDEO_SELECTOR);
+    if (video === STATE.videoElement) return;
+
+    if (STATE.videoElement) {
+      STATE.videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+      STATE.videoElement.removeEventListener('seeking', handleSeeking);
+      STATE.videoElement.removeEventListener('ended', handleEnded);
+    }
+
+    STATE.videoElement = video;
+    STATE.lastTime = video ? video.currentTime : null;
+
+    if (video) {
+      video.addEventListener('timeupdate', handleTimeUpdate);
+      video.addEventListener('seeking', handleSeeking);
+      video.addEventListener('ended', handleEnded);
+    }
+  }
+
+  // ========================================
+  // Overlay
+  // ========================================
+  function showOverlay() {
+    const player = document.querySelector(CONFIG.PLAYER_SELECTOR);
+    const entry = STATE.target;
+    if (!player || !entry) return;
+
+    removeOverlay();
+
+    const host = document.createElement('div');
+    host.id = CONFIG.OVERLAY_HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = getOverlayStyles();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+      <div class="card">
+        <div class="title">Today's segment done</div>
+        <div class="subtitle">${formatMinutes(entry.startSeconds / 60)} – ${formatMinutes(entry.endSeconds / 60)}</div>
+        <div class="actions">
+          <button class="btn btn-primary" id="planyt-mark-complete">Mark complete</button>
+          <button class="btn btn-secondary" id="planyt-keep-watching">Keep watching</button>
+        </div>
+      </div>
+    `;
+
+    shadow.appendChild(style);
+    shadow.appendChild(overlay);
+    player.appendChild(host);
+
+    shadow.getElementById('planyt-mark-complete').addEventListener('click', handleMarkComplete);
+    shadow.getElementById('planyt-keep-watching').addEventListener('click', handleKeepWatching);
+    updateOverlayState();
+  }
+
+  function removeOverlay() {
+    const existing = document.getElementById(CONFIG.OVERLAY_HOST_ID);
+    if (existing) {
+      existing.remove();
+    }
+  }
+
+  /**
+   * Reflect the segment's stored completion in the overlay button
+   */
+  function updateOverlayState() {
+    const host = document.getElementById(CONFIG.OVERLAY_HOST_ID);
+    if (!host || !host.shadowRoot || !STATE.target) return;
+
+    const button = host.shadowRoot.getElementById('planyt-mark-complete');
+    if (STATE.target.completed) {
+      button.textContent = 'Completed ✓';
+      button.disabled = true;
+    }
+  }
+
+  function handleMarkComplete() {
+    const entry = STATE.target;
+    if (!entry || entry.completed) return;
+
+    chrome.runtime.sendMessage({
+      type: 'MARK_SEGMENT_COMPLETE',
+      planId: STATE.planId,
+      dayIndex: entry.dayIndex,
+      videoIndex: entry.videoIndex,
+      videoId: STATE.videoId
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to mark segment complete', chrome.runtime.lastError || response);
+        return;
+      }
+      removeOverlay();
+    });
+  }
+
+  function handleKeepWatching() {
+    STATE.isReleased = true;
+    removeOverlay();
+    if (STATE.videoElement) {
+      STATE.videoElement.play().catch(() => {});
+    }
+  }
+
+  // ========================================
+  // Session
+  // ========================================
+  /**
+   * Report the current session segment as finished; the background opens the next one
+   */
+  function finishSessionSegment() {
+    if (STATE.isFinishing || !STATE.session) return;
+    STATE.isFinishing = true;
+
+    chrome.runtime.sendMessage({
+      type: 'SESSION_SEGMENT_FINISHED',
+      index: STATE.session.index
+    }, (response) => {
+      STATE.isFinishing = false;
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to advance session', chrome.runtime.lastError || response);
+        return;
+      }
+      if (response.done) {
+        STATE.session = null;
+        renderHud("Today's plan complete ✓");
+        setTimeout(removeHud, CONFIG.HUD_DONE_TIMEOUT);
+      }
+    });
+  }
+
+  /**
+   * Move the session on without marking the current segment complete
+   */
+  function skipSessionSegment() {
+    if (STATE.isFinishing || !STATE.session) return;
+    STATE.isFinishing = true;
+
+    chrome.runtime.sendMessage({
+      type: 'SESSION_SEGMENT_FINISHED',
+      index: STATE.session.index,
+      skipped: true
+    }, (response) => {
+      STATE.isFinishing = false;
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to skip session segment', chrome.runtime.lastError || response);
+        return;
+      }
+      if (response.done) {
+        STATE.session = null;
+        removeHud();
+      }
+    });
+  }
+
+  function handleStopSession() {
+    chrome.runtime.sendMessage({ type: 'STOP_SESSION' }, () => {
+      STATE.session = null;
+      removeHud();
+    });
+  }
+
+  /**
+   * Minutes of real watch time left in the session, at the plan's playback speed
+   */
+  function getSessionMinutesLeft() {
+    const session = STATE.session;
+    const video = STATE.videoElement;
+    const entry = session.segments[session.index];
+
+    let seconds = entry.minutes * 60;
+    if (video && video.currentTime >= entry.startSeconds) {
+      const end = entry.endSeconds !== null ? entry.endSeconds : (isFinite(video.duration) ? video.duration : entry.startSeconds + seconds);
+      seconds = Math.max(0, end - video.currentTime);
+    }
+
+    const laterMinutes = session.segments.slice(session.index + 1).reduce((sum, later) => sum + later.minutes, 0);
+    return (seconds / 60 + laterMinutes) / session.playbackSpeed;
+  }
+
+  function getHudText() {
+    const session = STATE.session;
+    return `Segment ${session.index + 1} of ${session.segments.length}, ${formatMinutes(getSessionMinutesLeft())} left today`;
+  }
+
+  /**
+   * Show the session HUD in the player, or a final message once the session ends
+   */
+  function renderHud(message) {
+    const player = document.querySelector(CONFIG.PLAYER_SELECTOR);
+    if (!player) return;
+
+    removeHud();
+
+    const host = document.createElement('div');
+    host.id = CONFIG.HUD_HOST_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = getOverlayStyles();
+
+    const hud = document.createElement('div');
+    hud.className = 'hud';
+    hud.innerHTML = `
+      <span class="hud-text" id="planyt-hud-text"></span>
+      ${message ? '' : '<button class="hud-stop" id="planyt-hud-stop">Stop</button>'}
+    `;
+
+    shadow.appendChild(style);
+    shadow.appendChild(hud);
+    player.appendChild(host);
+
+    shadow.getElementById('planyt-hud-text').textContent = message || getHudText();
+    const stopBtn = shadow.getElementById('planyt-hud-stop');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', handleStopSession);
+    }
+  }
+
+  function updateHud() {
+    const host = document.getElementById(CONFIG.HUD_HOST_ID);
+    if (!host || !host.shadowRoot) {
+      renderHud();
+      return;
+    }
+    host.shadowRoot.getElementById('planyt-hud-text').textContent = getHudText();
+  }
+
+  function removeHud() {
+    const existing = document.getElementById(CONFIG.HUD_HOST_ID);
+    if (existing) {
+      existing.remove();
+    }
+  }
+
+  function getOverlayStyles() {
+    return `
+      .overlay {
+        position: absolute;
+        inset: 0;
+        z-index: 60;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.6);
+        font-family: "Roboto", "Arial", sans-serif;
+      }
+
+      .card {
+        min-width: 260px;
+        padding: 20px 24px;
+        background: #212121;
+        border-radius: 12px;
+        color: #ffffff;
+        text-align: center;
+      }
+
+      .title {
+        font-size: 18px;
+        font-weight: 500;
+      }
+
+      .subtitle {
+        margin-top: 4px;
+        font-size: 13px;
+        color: #bfbfbf;
+      }
+
+      .actions {
+        display: flex;
+        gap: 8px;
+        justify-content: center;
+        margin-top: 16px;
+      }
+
+      .btn {
+        padding: 8px 16px;
+        font-size: 14px;
+        font-weight: 500;
+        border: none;
+        border-radius: 999px;
+        cursor: pointer;
+        font-family: inherit;
+      }
+
+      .btn-primary {
+        background: #ff0000;
+        color: #ffffff;
+      }
+
+      .btn-primary:hover {
+        background: #cc0000;
+      }
+
+      .btn-primary:disabled {
+        background: #0fb556;
+        cursor: default;
+      }
+
+      .btn-secondary {
+        background: #3f3f3f;
+        color: #ffffff;
+      }
+
+      .btn-secondary:hover {
+        background: #505050;
+      }
+
+      .hud {
+        position: absolute;
+        top: 12px;
+        left: 12px;
+        z-index: 60;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 6px 6px 12px;
+        background: rgba(0, 0, 0, 0.75);
+        border-radius: 999px;
+        color: #ffffff;
+        font-family: "Roboto", "Arial", sans-serif;
+        font-size: 13px;
+      }
+
+      .hud-stop {
+        padding: 4px 10px;
+        font-size: 12px;
+        border: none;
+        border-radius: 999px;
+        background: #3f3f3f;
+        color: #ffffff;
+        cursor: pointer;
+        font-family: inherit;
+      }
+
+      .hud-stop:hover {
+        background: #505050;
+      }
+    `;
+  }
+
+  // ========================================
+  // Keyboard commands
+  // ========================================
+  /**
+   * Resolve the plan segment being played: the one containing the playhead,
+   * else the first incomplete segment of this video
+   */
+  async function getPlayingSegment() {
+    const videoId = STATE.videoId;
+    const playlistId = extractPlaylistIdFromPage();
+    const plansData = await getPlansFromStorage();
+    const plan = findPlanForVideo(videoId, playlistId, plansData, await getPlanChoice(playlistId));
+    if (!plan) return { plan: null, entry: null };
+
+    const segments = getVideoSegments(plan, videoId);
+    const currentTime = STATE.videoElement ? STATE.videoElement.currentTime : 0;
+    const entry = segments.find(segment =>
+      currentTime >= segment.startSeconds && (segment.endSeconds === null || currentTime < segment.endSeconds)
+    ) || segments.find(segment => !segment.completed) || null;
+
+    return { plan, entry };
+  }
+
+  async function handleMarkCompleteCommand() {
+    if (STATE.session) {
+      finishSessionSegment();
+      return;
+    }
+
+    const { plan, entry } = await getPlayingSegment();
+    if (!entry) return;
+
+    chrome.runtime.sendMessage({
+      type: 'SET_SEGMENT_COMPLETED',
+      planId: plan.id,
+      dayIndex: entry.dayIndex,
+      videoIndex: entry.videoIndex,
+      videoId: STATE.videoId,
+      completed: true
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to mark segment complete', chrome.runtime.lastError || response);
+        return;
+      }
+      removeOverlay();
+    });
+  }
+
+  async function handleNextSegmentCommand() {
+    if (STATE.session) {
+      skipSessionSegment();
+      return;
+    }
+
+    const { plan, entry } = await getPlayingSegment();
+    let targetPlan = plan;
+    if (!targetPlan) {
+      // Video isn't planned: start from the active plan's next segment
+      const plansData = await getPlansFromStorage();
+      targetPlan = (plansData.plans || []).find(p => p.id === plansData.activePlanId);
+    }
+    if (!targetPlan) return;
+
+    const next = entry
+      ? findNextPlanSegment(targetPlan, entry.dayIndex, entry.videoIndex)
+      : findNextPlanSegment(targetPlan, -1, -1);
+    if (next) {
+      window.location.href = buildSegmentWatchUrl(next.segment, extractPlaylistIdFromPage());
+    }
+  }
+
+  function setupCommandListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type !== 'PLANYT_COMMAND' || !STATE.videoId) return;
+
+      if (message.command === 'mark-segment-complete') {
+        handleMarkCompleteCommand();
+      } else if (message.command === 'next-segment') {
+        handleNextSegmentCommand();
+        // Tells the background worker not to open the next segment itself
+        sendResponse({ handled: true });
+      }
+    });
+  }
+
+  // ========================================
+  // Navigation
+  // ========================================
+  function handleNavigation() {
+    const videoId = extractVideoIdFromPage();
+    if (videoId !== STATE.videoId) {
+      STATE.videoId = videoId;
+      STATE.planId = null;
+      STATE.target = null;
+      STATE.hasSeeked = false;
+      STATE.isReleased = false;
+      STATE.lastTime = null;
+      STATE.session = null;
+      STATE.isFinishing = false;
+      removeOverlay();
+      removeHud();
+      if (videoId) {
+        attachToVideo();
+        refreshTarget();
+      }
+      return;
+    }
+
+    if (videoId) {
+      attachToVideo();
+    }
+  }
+
+  function setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[CONFIG.STORAGE_KEY]) return;
+      refreshTarget();
+    });
+  }
+
+  function init() {
+    setupStorageListener();
+    setupCommandListener();
+    window.addEventListener('yt-navigate-finish', handleNavigation);
+    setInterval(handleNavigation, CONFIG.CHECK_INTERVAL);
+    handleNavigation();
+  }
+
+  init();
+})();
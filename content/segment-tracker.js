@@ -0,0 +1,287 @@
+/**
+ * segment-tracker.js
+ * PlanYT Segment Tracker - Automatic completion from the YouTube player
+ * Follows playback of the current video and marks its plan segments complete once watched
+ * Also logs real watch time on planned segments into the plan's ledger
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = {
+    STORAGE_KEY: 'playlistPlans',
+    VIDEO_SELECTOR: 'video.html5-main-video',
+    AD_SHOWING_SELECTOR: '.html5-video-player.ad-showing',
+    CHECK_INTERVAL: 1000,
+    // Larger jumps between timeupdate events are seeks, not playback
+    MAX_PLAYBACK_STEP: 5,
+    LEDGER_FLUSH_INTERVAL: 30000
+  };
+
+  const STATE = {
+    videoId: null,
+    videoElement: null,
+    planId: null,
+    trackedSegments: [],
+    // Every segment of the video, completed or not, for the watch-time ledger
+    ledgerSegments: [],
+    // Unsent watch time: { [segmentKey]: { watchedSeconds, videoSeconds, rateSeconds } }
+    pendingWatch: {},
+    settings: null,
+    lastTime: null,
+    lastWallTime: null,
+    navigationCheckInterval: null
+  };
+
+  /**
+   * Key identifying a segment across plan reloads
+   */
+  function getSegmentKey(entry) {
+    return `${entry.dayIndex}:${entry.videoIndex}:${entry.startSeconds}`;
+  }
+
+  function getPlansFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
+        resolve(result[CONFIG.STORAGE_KEY] || { plans: [], activePlanId: null });
+      });
+    });
+  }
+
+  /**
+   * Reload the incomplete segments of the current video, keeping watched progress
+   */
+  async function refreshTrackedSegments() {
+    const videoId = STATE.videoId;
+    if (!videoId) {
+      STATE.planId = null;
+      STATE.trackedSegments = [];
+      STATE.ledgerSegments = [];
+      return;
+    }
+
+    const playlistId = extractPlaylistIdFromPage();
+    const plansData = await getPlansFromStorage();
+    const preferredPlanId = await getPlanChoice(playlistId);
+    if (videoId !== STATE.videoId) return;
+
+    const plan = findPlanForVideo(videoId, playlistId, plansData, preferredPlanId);
+    const previous = new Map(STATE.trackedSegments.map(entry => [getSegmentKey(entry), entry.watched]));
+    const samePlan = plan && plan.id === STATE.planId;
+
+    if (!samePlan) {
+      flushWatchTime();
+    }
+
+    const segments = getVideoSegments(plan, videoId);
+    STATE.planId = plan ? plan.id : null;
+    STATE.ledgerSegments = segments;
+    STATE.trackedSegments = segments
+      .filter(entry => !entry.completed)
+      .map(entry => ({
+        ...entry,
+        watched: (samePlan && previous.get(getSegmentKey(entry))) || new Set()
+      }));
+  }
+
+  async function refreshSettings() {
+    STATE.settings = await getSettings();
+  }
+
+  function isAdShowing() {
+    return document.querySelector(CONFIG.AD_SHOWING_SELECTOR) !== null;
+  }
+
+  /**
+   * Resolve where a segment stops, falling back to the video's own length
+   */
+  function getSegmentEnd(entry, video) {
+    if (entry.endSeconds !== null) return entry.endSeconds;
+    if (isFinite(video.duration) && video.duration > 0) return video.duration;
+    return entry.startSeconds + (entry.segment.duration || 0) * 60;
+  }
+
+  function handleTimeUpdate(event) {
+    const video = event.target;
+    const currentTime = video.currentTime;
+    const lastTime = STATE.lastTime;
+    const now = performance.now();
+    const lastWallTime = STATE.lastWallTime;
+    STATE.lastTime = currentTime;
+    STATE.lastWallTime = now;
+
+    if (lastTime !== null && lastWallTime !== null && !video.paused && !isAdShowing()) {
+      logWatchTime(lastTime, currentTime, (now - lastWallTime) / 1000);
+    }
+
+    if (!STATE.settings || !STATE.settings.autoCompleteSegments) return;
+    if (STATE.trackedSegments.length === 0 || lastTime === null || isAdShowing()) return;
+
+    const step = currentTime - lastTime;
+    if (step <= 0 || step > CONFIG.MAX_PLAYBACK_STEP) return;
+
+    const threshold = STATE.settings.completionThreshold;
+    STATE.trackedSegments.slice().forEach(entry => {
+      const segmentEnd = getSegmentEnd(entry, video);
+      const from = Math.max(lastTime, entry.startSeconds);
+      const to = Math.min(currentTime, segmentEnd);
+      if (to <= from) return;
+
+      // Count whole seconds so rewatching a part doesn't inflate progress
+      for (let second = Math.floor(from); second < Math.ceil(to); second++) {
+        entry.watched.add(second);
+      }
+
+      const segmentSeconds = Math.max(1, Math.ceil(segmentEnd - entry.startSeconds));
+      if (entry.watched.size / segmentSeconds >= threshold) {
+        markSegmentComplete(entry);
+      }
+    });
+  }
+
+  function handleSeeking(event) {
+    STATE.lastTime = event.target.currentTime;
+    STATE.lastWallTime = null;
+  }
+
+  function handlePause() {
+    STATE.lastWallTime = null;
+  }
+
+  /**
+   * Add one playback step to the pending ledger entry of the segment being played
+   */
+  function logWatchTime(lastTime, currentTime, wallSeconds) {
+    const step = currentTime - lastTime;
+    if (step <= 0 || step > CONFIG.MAX_PLAYBACK_STEP) return;
+    if (wallSeconds <= 0 || wallSeconds > CONFIG.MAX_PLAYBACK_STEP) return;
+
+    const entry = STATE.ledgerSegments.find(segment => {
+      const segmentEnd = getSegmentEnd(segment, STATE.videoElement);
+      return currentTime > segment.startSeconds && lastTime < segmentEnd;
+    });
+    if (!entry) return;
+
+    const key = getLedgerSegmentKey(entry.segment);
+    const pending = STATE.pendingWatch[key] || { watchedSeconds: 0, videoSeconds: 0, rateSeconds: {} };
+    const rate = String(STATE.videoElement.playbackRate);
+    pending.watchedSeconds += wallSeconds;
+    pending.videoSeconds += step;
+    pending.rateSeconds[rate] = (pending.rateSeconds[rate] || 0) + wallSeconds;
+    STATE.pendingWatch[key] = pending;
+  }
+
+  /**
+   * Send pending watch time to the background worker, which owns ledger writes
+   */
+  function flushWatchTime() {
+    const entries = STATE.pendingWatch;
+    const planId = STATE.planId;
+    STATE.pendingWatch = {};
+    if (!planId || Object.keys(entries).length === 0) return;
+
+    chrome.runtime.sendMessage({ type: 'RECORD_WATCH_TIME', planId, entries }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to record watch time', chrome.runtime.lastError || response);
+      }
+    });
+  }
+
+  /**
+   * Ask the background worker to complete a segment through the shared plan logic
+   */
+  function markSegmentComplete(entry) {
+    STATE.trackedSegments = STATE.trackedSegments.filter(tracked => tracked !== entry);
+
+    chrome.runtime.sendMessage({
+      type: 'MARK_SEGMENT_COMPLETE',
+      planId: STATE.planId,
+      dayIndex: entry.dayIndex,
+      videoIndex: entry.videoIndex,
+      videoId: STATE.videoId
+    }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('PlanYT: Failed to mark segment complete', chrome.runtime.lastError || response);
+      }
+    });
+  }
+
+  function attachToVideo() {
+    const video = document.querySelector(CONFIG.VIDEO_SELECTOR);
+    if (video === STATE.videoElement) return;
+
+    if (STATE.videoElement) {
+      STATE.videoElement.removeEventListener('timeupdate', handleTimeUpdate);
+      STATE.videoElement.removeEventListener('seeking', handleSeeking);
+      STATE.videoElement.removeEventListener('pause', handlePause);
+    }
+
+    STATE.videoElement = video;
+    STATE.lastTime = video ? video.currentTime : null;
+    STATE.lastWallTime = null;
+
+    if (video) {
+      video.addEventListener('timeupdate', handleTimeUpdate);
+      video.addEventListener('seeking', handleSeeking);
+      video.addEventListener('pause', handlePause);
+    }
+  }
+
+  function handleNavigation() {
+    const videoId = extractVideoIdFromPage();
+    if (videoId !== STATE.videoId) {
+      flushWatchTime();
+      STATE.videoId = videoId;
+      STATE.planId = null;
+      STATE.trackedSegments = [];
+      STATE.ledgerSegments = [];
+      STATE.lastTime = null;
+      STATE.lastWallTime = null;
+      refreshTrackedSegments();
+    }
+
+    if (videoId) {
+      attachToVideo();
+    }
+  }
+
+  function setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      if (changes[CONFIG.STORAGE_KEY] || changes[PLAN_CHOICES_STORAGE_KEY]) {
+        refreshTrackedSegments();
+      }
+      if (changes[SETTINGS_STORAGE_KEY]) {
+        refreshSettings();
+      }
+    });
+  }
+
+  function setupNavigationListeners() {
+    window.addEventListener('yt-navigate-finish', handleNavigation);
+
+    // YouTube swaps the player element and URL without a full reload
+    STATE.navigationCheckInterval = setInterval(handleNavigation, CONFIG.CHECK_INTERVAL);
+  }
+
+  function setupLedgerFlush() {
+    setInterval(flushWatchTime, CONFIG.LEDGER_FLUSH_INTERVAL);
+    window.addEventListener('pagehide', flushWatchTime);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushWatchTime();
+      }
+    });
+  }
+
+  async function init() {
+    await refreshSettings();
+    setupStorageListener();
+    setupNavigationListeners();
+    setupLedgerFlush();
+    handleNavigation();
+  }
+
+  init();
+})();
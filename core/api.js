@@ -75,3 +75,33 @@ async function fetchPlaylistData(playlistId) {
   console.error('All endpoints failed:', lastError?.message || lastError);
   throw new Error('Could not reach backend. Ensure your server is running or update the backend URL.');
 }
+
+/**
+ * Fetches several playlists and joins them into one course, in the given order
+ * Each video records the playlist it came from as sourcePlaylistId.
+ * A video found in more than one playlist is kept at its first position.
+ * Returns: { title, videoCount, videos, playlists: [{ id, title, videoCount }] }
+ */
+async function fetchCombinedPlaylistData(playlistIds) {
+  const playlists = [];
+  const videos = [];
+  const seenVideoIds = new Set();
+
+  for (const playlistId of playlistIds) {
+    const data = await fetchPlaylistData(playlistId);
+    playlists.push({ id: playlistId, title: data.title, videoCount: data.videoCount });
+
+    data.videos.forEach(video => {
+      if (seenVideoIds.has(video.id)) return;
+      seenVideoIds.add(video.id);
+      videos.push({ ...video, sourcePlaylistId: playlistId });
+    });
+  }
+
+  return {
+    title: playlists.map(playlist => playlist.title).join(' + '),
+    videoCount: playlists.length === 1 ? playlists[0].videoCount : videos.length,
+    videos,
+    playlists
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * backup.js
+ * Export and import of saved plans as versioned JSON files
+ * File structure:
+ * {
+ *   format: "planyt-plans",
+ *   schemaVersion: 2,
+ *   exportedAt: "ISO date",
+ *   plans: [...],
+ *   activePlanId: "id",
+ *   watchLedgers: { [planId]: {...} }
+ * }
+ * Version 1 files key watch ledgers by day number; they are rekeyed by segment on import.
+ */
+
+const BACKUP_FORMAT = 'planyt-plans';
+const BACKUP_SCHEMA_VERSION = 2;
+
+/**
+ * Build the export file contents for all saved plans
+ */
+async function buildPlansExport() {
+  const plansData = await getPlansData();
+  const ledgers = (await getFromStorage(LEDGER_STORAGE_KEY)) || {};
+
+  const watchLedgers = {};
+  plansData.plans.forEach(plan => {
+    if (ledgers[plan.id]) {
+      watchLedgers[plan.id] = ledgers[plan.id];
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    plans: plansData.plans,
+    activePlanId: plansData.activePlanId,
+    watchLedgers
+  };
+}
+
+/**
+ * Check that a plan from a file has the fields the popup and widget rely on
+ * Returns an error message, or null if the plan looks usable
+ */
+function validateImportedPlan(plan, index) {
+  const label = `Plan ${index + 1}`;
+  if (!plan || typeof plan !== 'object') return `${label} is not an object`;
+  if (typeof plan.id !== 'string' || !plan.id) return `${label} has no id`;
+  if (typeof plan.title !== 'string') return `${label} has no title`;
+  if (!Array.isArray(plan.planData) || plan.planData.length === 0) return `${label} has no days`;
+
+  for (const dayData of plan.planData) {
+    if (!dayData || typeof dayData.day !== 'number' || !Array.isArray(dayData.videos)) {
+      return `${label} has a malformed day`;
+    }
+    if (dayData.videos.some(video => !video || typeof video.id !== 'string')) {
+      return `${label} has a malformed video on day ${dayData.day}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate parsed export file contents
+ * @returns {{valid:boolean, error:string|null}}
+ */
+function validatePlansImport(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'File is not a PlanYT export' };
+  }
+  if (data.format !== BACKUP_FORMAT) {
+    return { valid: false, error: 'File is not a PlanYT export' };
+  }
+  if (typeof data.schemaVersion !== 'number' || data.schemaVersion < 1) {
+    return { valid: false, error: 'File has no schema version' };
+  }
+  if (data.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    return { valid: false, error: 'File was exported by a newer version of PlanYT' };
+  }
+  if (!Array.isArray(data.plans)) {
+    return { valid: false, error: 'File contains no plans' };
+  }
+
+  const ids = new Set();
+  for (let i = 0; i < data.plans.length; i++) {
+    const error = validateImportedPlan(data.plans[i], i);
+    if (error) return { valid: false, error };
+    if (ids.has(data.plans[i].id)) {
+      return { valid: false, error: `Plan ${i + 1} has the same id as another plan in the file` };
+    }
+    ids.add(data.plans[i].id);
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Find saved plans that clash with imported ones, by id or by playlist
+ * @returns {Array} [{ imported, existing, reason: 'id'|'playlist' }]
+ */
+function findImportConflicts(existingPlans, importedPlans) {
+  const conflicts = [];
+  importedPlans.forEach(imported => {
+    const sameId = existingPlans.find(plan => plan.id === imported.id);
+    if (sameId) {
+      conflicts.push({ imported, existing: sameId, reason: 'id' });
+      return;
+    }
+
+    const importedPlaylists = getPlanPlaylistIds(imported);
+    const samePlaylist = existingPlans.find(plan =>
+      getPlanPlaylistIds(plan).some(playlistId => importedPlaylists.includes(playlistId))
+    );
+    if (samePlaylist) {
+      conflicts.push({ imported, existing: samePlaylist, reason: 'playlist' });
+    }
+  });
+  return conflicts;
+}
+
+/**
+ * Import plans from validated file contents
+ * @param {Object} data - Parsed export file
+ * @param {string} resolution - For conflicting plans: 'skip' | 'replace' | 'keep-both'
+ * @returns {Promise<{added:number, replaced:number, skipped:number}>}
+ */
+async function importPlans(data, resolution = 'skip') {
+  const plansData = await getPlansData();
+  const ledgers = (await getFromStorage(LEDGER_STORAGE_KEY)) || {};
+  const importedLedgers = { ...(data.watchLedgers || {}) };
+  if (data.schemaVersion < 2) {
+    data.plans.forEach(imported => {
+      if (importedLedgers[imported.id]) {
+        importedLedgers[imported.id] = rekeyDayNumberLedger(imported.planData, importedLedgers[imported.id]);
+      }
+    });
+  }
+  const conflicts = findImportConflicts(plansData.plans, data.plans);
+  const result = { added: 0, replaced: 0, skipped: 0 };
+  // Saved plans overwritten by a plan with another id count as deleted for sync
+  const replacedPlanIds = [];
+
+  data.plans.forEach(imported => {
+    // Stamped as a fresh edit so synced copies on other devices take the imported version
+    const plan = { ...imported, progress: deriveProgressFromPlanData(imported.planData), updatedAt: Date.now() };
+    const conflict = conflicts.find(c => c.imported === imported);
+
+    if (conflict && resolution === 'skip') {
+      result.skipped++;
+      return;
+    }
+
+    if (conflict && resolution === 'replace') {
+      // An earlier plan in the file may have replaced the same saved plan already
+      const index = plansData.plans.findIndex(p => p.id === conflict.existing.id);
+      if (index === -1) {
+        result.skipped++;
+        return;
+      }
+      plansData.plans[index] = plan;
+      if (conflict.existing.id !== plan.id) {
+        delete ledgers[conflict.existing.id];
+        replacedPlanIds.push(conflict.existing.id);
+        if (plansData.activePlanId === conflict.existing.id) {
+          plansData.activePlanId = plan.id;
+        }
+      }
+      ledgers[plan.id] = importedLedgers[imported.id] || {};
+      result.replaced++;
+      return;
+    }
+
+    if (conflict && conflict.reason === 'id') {
+      // Keep both: the copy needs its own id
+      plan.id = generatePlanId();
+    }
+    plansData.plans.push(plan);
+    if (importedLedgers[imported.id]) {
+      ledgers[plan.id] = importedLedgers[imported.id];
+    }
+    result.added++;
+  });
+
+  if (!plansData.activePlanId && plansData.plans.length > 0) {
+    plansData.activePlanId = plansData.plans[0].id;
+  }
+
+  await savePlansData(plansData);
+  await saveToStorage(LEDGER_STORAGE_KEY, ledgers);
+  for (const planId of replacedPlanIds) {
+    await recordPlanDeletion(planId);
+  }
+  return result;
+}
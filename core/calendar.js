@@ -0,0 +1,137 @@
+/**
+ * calendar.js
+ * Date helpers for calendar-aware plans
+ * Plan days carry local dates as "YYYY-MM-DD" keys so they survive storage round-trips
+ */
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Converts a Date to a local "YYYY-MM-DD" key
+ */
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" key to a Date at local midnight
+ * Returns null if invalid
+ */
+function parseDateKey(dateKey) {
+  if (!dateKey || typeof dateKey !== 'string') return null;
+
+  const match = dateKey.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Returns today's local date key
+ */
+function getTodayDateKey() {
+  return toDateKey(new Date());
+}
+
+/**
+ * Adds a number of days to a date key
+ */
+function addDaysToDateKey(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  if (!date) return null;
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+/**
+ * Counts whole days from one date key to another (negative if `to` is earlier)
+ */
+function diffDateKeys(fromKey, toKey) {
+  const from = parseDateKey(fromKey);
+  const to = parseDateKey(toKey);
+  if (!from || !to) return 0;
+  // Round to absorb DST shifts between the two midnights
+  return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Formats a date key for display
+ * Example: "2025-03-10" -> "Mon, Mar 10"
+ */
+function formatDateKey(dateKey) {
+  const date = parseDateKey(dateKey);
+  if (!date) return '';
+  return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Resolves the watch budget for a weekday
+ * weeklyMinutes is indexed like Date.getDay() (0 = Sunday):
+ *   null/undefined -> default daily budget
+ *   0              -> rest day
+ *   > 0            -> custom budget for that weekday
+ */
+function getMinutesForWeekday(weeklyMinutes, weekday, defaultMinutes) {
+  if (!Array.isArray(weeklyMinutes)) return defaultMinutes;
+  const value = weeklyMinutes[weekday];
+  if (value === null || value === undefined || value === '') return defaultMinutes;
+  const minutes = Number(value);
+  return isNaN(minutes) || minutes < 0 ? defaultMinutes : minutes;
+}
+
+/**
+ * Creates an iterator over study days
+ * Each call to next() returns { date, minutes } for the next day with a budget,
+ * skipping rest days. Dates are null when no startDate is given.
+ * Returns null if the weekly map leaves no study days at all.
+ */
+function createStudyCalendar(startDate, weeklyMinutes, defaultMinutes) {
+  const hasStudyDay = [0, 1, 2, 3, 4, 5, 6].some(weekday => getMinutesForWeekday(weeklyMinutes, weekday, defaultMinutes) > 0);
+  if (!hasStudyDay) return null;
+
+  const start = parseDateKey(startDate);
+  if (!start) {
+    // Undated plans use the default budget for every day
+    return {
+      next() {
+        return { date: null, minutes: defaultMinutes };
+      }
+    };
+  }
+
+  const cursor = start;
+  return {
+    next() {
+      for (;;) {
+        const minutes = getMinutesForWeekday(weeklyMinutes, cursor.getDay(), defaultMinutes);
+        const date = toDateKey(cursor);
+        cursor.setDate(cursor.getDate() + 1);
+        if (minutes > 0) {
+          return { date, minutes };
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Counts study days (non-rest days) between two date keys, inclusive
+ */
+function countStudyDays(fromKey, toKey, weeklyMinutes) {
+  const cursor = parseDateKey(fromKey);
+  const end = parseDateKey(toKey);
+  if (!cursor || !end) return 0;
+
+  let count = 0;
+  while (cursor <= end) {
+    if (getMinutesForWeekday(weeklyMinutes, cursor.getDay(), 1) > 0) {
+      count++;
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return count;
+}
@@ -0,0 +1,220 @@
+/**
+ * export.js
+ * Plan schedule exports for use outside PlanYT
+ * iCalendar: one event per dated watch day, with UIDs built from the date so
+ * re-importing a newer export updates the same events instead of duplicating them.
+ * Markdown and CSV: one checklist line / row per segment.
+ */
+
+const ICS_PRODUCT_ID = '-//PlanYT//Plan Export//EN';
+const DEFAULT_CALENDAR_START_TIME = '19:00';
+
+/**
+ * Watch link that opens a segment at its start
+ */
+function getSegmentExportUrl(segment) {
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(segment.id)}`;
+  const startSeconds = Math.floor((segment.startTime || 0) * 60);
+  return startSeconds > 0 ? `${url}&t=${startSeconds}s` : url;
+}
+
+/**
+ * Segment time range in original video time
+ * Example: "12m–40m", or "" for a whole video
+ */
+function formatSegmentExportRange(segment) {
+  if (!segment.isPartial) return '';
+  const start = segment.startTime ? formatMinutes(segment.startTime) : '0m';
+  const end = segment.endTime ? formatMinutes(segment.endTime) : 'end';
+  return `${start}–${end}`;
+}
+
+/**
+ * File name for an exported plan
+ * Example: ("Intro to CS", "ics") -> "intro-to-cs.ics"
+ */
+function getExportFileName(plan, extension) {
+  const slug = (plan.title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'planyt-plan'}.${extension}`;
+}
+
+/**
+ * Segments of the plan in watch order, skipping buffer and review days
+ * @returns {Array} - [{ dayData, segment, completed }]
+ */
+function getExportSegments(plan) {
+  const entries = [];
+  (plan.planData || []).forEach(dayData => {
+    if (getDayType(dayData) !== DAY_TYPE_WATCH) return;
+    (dayData.videos || []).forEach(segment => {
+      entries.push({ dayData, segment, completed: Boolean(segment.completed || dayData.completed) });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Builds a Markdown checklist of the plan
+ * Example line: "- [x] Day 3 – [Lecture 5](https://...&t=720s) (12m–40m)"
+ */
+function buildPlanMarkdown(plan) {
+  const lines = [`# ${plan.title}`, ''];
+
+  getExportSegments(plan).forEach(({ dayData, segment, completed }) => {
+    const title = segment.title.replace(/([\\[\]])/g, '\\$1');
+    const range = formatSegmentExportRange(segment);
+    const suffix = range ? ` (${range})` : '';
+    lines.push(`- [${completed ? 'x' : ' '}] Day ${dayData.day} – [${title}](${getSegmentExportUrl(segment)})${suffix}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quotes a CSV field when needed
+ */
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Prefixes free text a spreadsheet would run as a formula with an apostrophe
+ */
+function neutralizeCsvFormula(text) {
+  return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Builds a CSV with one row per segment
+ * Start, end and duration are in original video time
+ */
+function buildPlanCsv(plan) {
+  const rows = [['day', 'date', 'video_id', 'title', 'start', 'end', 'duration', 'completed', 'url']];
+
+  getExportSegments(plan).forEach(({ dayData, segment, completed }) => {
+    const start = segment.startTime || 0;
+    const end = segment.endTime !== null && segment.endTime !== undefined
+      ? segment.endTime
+      : start + (segment.duration || 0);
+
+    rows.push([
+      dayData.day,
+      dayData.date || '',
+      segment.id,
+      neutralizeCsvFormula(segment.title),
+      formatMinutes(start),
+      formatMinutes(end),
+      formatMinutes(segment.duration),
+      completed ? 'yes' : 'no',
+      getSegmentExportUrl(segment)
+    ]);
+  });
+
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  return '\ufeff' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 §3.3.11)
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, continuation lines start with a space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as a UTC timestamp
+ * Example: "20250310T180000Z"
+ */
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds an .ics calendar for a plan's dated watch days
+ * Events use floating local time, so they stay at the chosen time in any timezone.
+ *
+ * @param {Object} plan - Saved plan
+ * @param {string} startTime - Local "HH:MM" each day's event begins at
+ * @returns {string|null} - Calendar text, or null if the plan has no dated watch days
+ */
+function buildPlanIcs(plan, startTime = DEFAULT_CALENDAR_START_TIME) {
+  const days = (plan.planData || []).filter(dayData =>
+    getDayType(dayData) === DAY_TYPE_WATCH && parseDateKey(dayData.date) && (dayData.videos || []).length > 0
+  );
+  if (days.length === 0) return null;
+
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(startTime || '') || /^(\d{2}):(\d{2})$/.exec(DEFAULT_CALENDAR_START_TIME);
+  const timeOfDay = `${timeMatch[1]}${timeMatch[2]}00`;
+  const stamp = formatIcsTimestamp(new Date());
+  // Calendars only apply an update to a known UID when the sequence grows
+  const sequence = Math.floor(Date.now() / 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`PlanYT: ${plan.title}`)}`
+  ];
+
+  days.forEach(dayData => {
+    const description = dayData.videos.map(segment => {
+      const range = formatSegmentExportRange(segment);
+      const label = range ? `${segment.title} (${range})` : segment.title;
+      return `${label}\n${getSegmentExportUrl(segment)}`;
+    }).join('\n\n');
+    const durationMinutes = Math.max(1, Math.round(dayData.totalTime || 0));
+
+    lines.push(
+      'BEGIN:VEVENT',
+      // Keyed by date: day numbers change when a plan is rebalanced or regenerated
+      `UID:${plan.id}-${dayData.date}@planyt`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${dayData.date.replace(/-/g, '')}T${timeOfDay}`,
+      `DURATION:PT${durationMinutes}M`,
+      `SUMMARY:${escapeIcsText(`${plan.title} – Day ${dayData.day}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${getSegmentExportUrl(dayData.videos[0])}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
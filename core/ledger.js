@@ -0,0 +1,154 @@
+/**
+ * ledger.js
+ * Actual watch time per plan segment, recorded from the YouTube player
+ * Kept under its own storage key, next to the plans:
+ * {
+ *   [planId]: { [segmentKey]: { watchedSeconds, videoSeconds, rateSeconds } }
+ * }
+ * Segments are keyed by video and start second (see getLedgerSegmentKey), so recorded
+ * time follows its content when a re-plan renumbers or moves days. A day's figures are
+ * the sum of its segments.
+ * watchedSeconds is real time spent playing; videoSeconds is how far the video advanced.
+ * rateSeconds breaks watchedSeconds down by player speed: { "1.5": 620, "2": 90 }.
+ * The speed actually used is the time-weighted average of rateSeconds, or the ratio of
+ * videoSeconds to watchedSeconds for entries recorded without it.
+ */
+
+const LEDGER_STORAGE_KEY = 'watchLedgers';
+
+/**
+ * Ledger key of a plan segment
+ * Example: { id: 'abc', startTime: 12.5 } -> "abc@750"
+ */
+function getLedgerSegmentKey(segment) {
+  return `${segment.id}@${Math.round((segment.startTime || 0) * 60)}`;
+}
+
+/**
+ * Add one ledger entry to another (either may be missing)
+ */
+function mergeLedgerEntry(current, entry) {
+  const base = current || { watchedSeconds: 0, videoSeconds: 0 };
+  const rateSeconds = { ...(base.rateSeconds || {}) };
+  Object.entries((entry && entry.rateSeconds) || {}).forEach(([rate, seconds]) => {
+    rateSeconds[rate] = (rateSeconds[rate] || 0) + seconds;
+  });
+
+  return {
+    watchedSeconds: base.watchedSeconds + ((entry && entry.watchedSeconds) || 0),
+    videoSeconds: base.videoSeconds + ((entry && entry.videoSeconds) || 0),
+    rateSeconds
+  };
+}
+
+/**
+ * Get the ledger for one plan (empty object if nothing was recorded)
+ */
+async function getWatchLedger(planId) {
+  const ledgers = (await getFromStorage(LEDGER_STORAGE_KEY)) || {};
+  return ledgers[planId] || {};
+}
+
+/**
+ * Add watch time to a plan's ledger
+ * @param {string} planId
+ * @param {object} entries - { [segmentKey]: { watchedSeconds, videoSeconds, rateSeconds } }
+ */
+async function recordWatchTime(planId, entries) {
+  const ledgers = (await getFromStorage(LEDGER_STORAGE_KEY)) || {};
+  const ledger = ledgers[planId] || {};
+
+  Object.entries(entries).forEach(([key, entry]) => {
+    ledger[key] = mergeLedgerEntry(ledger[key], entry);
+  });
+
+  ledgers[planId] = ledger;
+  await saveToStorage(LEDGER_STORAGE_KEY, ledgers);
+}
+
+/**
+ * Move entries recorded under day numbers (before ledgers were keyed by segment)
+ * onto the first segment of that day; entries whose day is gone are kept as they are
+ * @param {Array} planData - The plan's days, numbered as when the entries were recorded
+ * @param {object} ledger - One plan's ledger
+ * @returns {object} - Ledger keyed by segment
+ */
+function rekeyDayNumberLedger(planData, ledger) {
+  const rekeyed = {};
+  Object.entries(ledger || {}).forEach(([key, entry]) => {
+    const dayData = /^\d+$/.test(key) ? (planData || []).find(day => String(day.day) === key) : null;
+    const firstSegment = dayData && (dayData.videos || [])[0];
+    const targetKey = firstSegment ? getLedgerSegmentKey(firstSegment) : key;
+    rekeyed[targetKey] = mergeLedgerEntry(rekeyed[targetKey], entry);
+  });
+  return rekeyed;
+}
+
+/**
+ * Drop a plan's ledger (when the plan is deleted)
+ */
+async function deleteWatchLedger(planId) {
+  const ledgers = await getFromStorage(LEDGER_STORAGE_KEY);
+  if (!ledgers || !ledgers[planId]) return;
+
+  delete ledgers[planId];
+  await saveToStorage(LEDGER_STORAGE_KEY, ledgers);
+}
+
+/**
+ * Speed actually used for a ledger entry, rounded to hundredths
+ * @returns {number|null} - null if the entry has no playback to go by
+ */
+function getEntrySpeed(entry) {
+  let rateTotal = 0;
+  let rateWeight = 0;
+  Object.entries(entry.rateSeconds || {}).forEach(([rate, seconds]) => {
+    rateTotal += parseFloat(rate) * seconds;
+    rateWeight += seconds;
+  });
+
+  const speed = rateWeight > 0
+    ? rateTotal / rateWeight
+    : (entry.watchedSeconds > 0 && entry.videoSeconds > 0 ? entry.videoSeconds / entry.watchedSeconds : null);
+  return speed ? Math.round(speed * 100) / 100 : null;
+}
+
+/**
+ * Speed actually used across a whole plan, for adjusting its time estimates
+ * Needs a few minutes of playback before the average means anything
+ * @returns {{averageSpeed:number, watchedMinutes:number}|null}
+ */
+function getPlanSpeedStats(ledger, minMinutes = 10) {
+  let total = null;
+  Object.values(ledger || {}).forEach(entry => {
+    total = mergeLedgerEntry(total, entry);
+  });
+
+  const averageSpeed = total ? getEntrySpeed(total) : null;
+  if (!total || total.watchedSeconds < minMinutes * 60 || !averageSpeed) return null;
+
+  return {
+    averageSpeed,
+    watchedMinutes: total.watchedSeconds / 60
+  };
+}
+
+/**
+ * Summarize the ledger entries of a day's segments for display
+ * @returns {{actualMinutes:number, actualSpeed:number|null}|null} null if nothing was watched
+ */
+function getDayWatchStats(ledger, dayData) {
+  if (!ledger || !dayData) return null;
+
+  const keys = new Set((dayData.videos || []).map(getLedgerSegmentKey));
+  let entry = null;
+  keys.forEach(key => {
+    if (ledger[key]) entry = mergeLedgerEntry(entry, ledger[key]);
+  });
+  if (!entry || !entry.watchedSeconds) return null;
+
+  return {
+    actualMinutes: entry.watchedSeconds / 60,
+    actualSpeed: getEntrySpeed(entry)
+  };
+}
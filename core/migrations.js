@@ -0,0 +1,177 @@
+/**
+ * migrations.js
+ * Versioned storage schema for chrome.storage.local
+ * The stored version says which migrations already ran. Each migration runs once,
+ * in order, and the version is saved after each one so an interrupted run resumes
+ * where it stopped. Migrations must be safe to re-run after such an interruption.
+ * Only the background worker runs them; the popup asks it with a RUN_MIGRATIONS message
+ * so two contexts never migrate at once.
+ *
+ * To change the schema, append a migration with the next version number.
+ */
+
+const SCHEMA_VERSION_STORAGE_KEY = 'schemaVersion';
+// Single-plan storage from before multi-plan support
+const LEGACY_PLAN_STORAGE_KEY = 'planData';
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the legacy single-plan key into playlistPlans',
+    migrate: migrateLegacyPlanData
+  },
+  {
+    version: 2,
+    description: 'Key watch ledgers by segment instead of day number',
+    migrate: migrateWatchLedgerKeys
+  },
+  {
+    version: 3,
+    description: 'Leave excluded videos out of plan video counts',
+    migrate: migratePlanVideoCounts
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let migrationsPromise = null;
+
+/**
+ * Run pending migrations (once per worker start; retried on the next call if one fails)
+ * @returns {Promise<number>} - Schema version storage is at afterwards
+ */
+function runMigrations() {
+  if (!migrationsPromise) {
+    migrationsPromise = applyPendingMigrations().catch((error) => {
+      migrationsPromise = null;
+      throw error;
+    });
+  }
+  return migrationsPromise;
+}
+
+async function applyPendingMigrations() {
+  let version = (await getFromStorage(SCHEMA_VERSION_STORAGE_KEY)) || 0;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+
+    await migration.migrate();
+    version = migration.version;
+    await saveToStorage(SCHEMA_VERSION_STORAGE_KEY, version);
+  }
+
+  return version;
+}
+
+/**
+ * Whether a saved plan is the one the legacy key mirrored
+ */
+function isLegacyPlanMatch(plan, legacy) {
+  const playlistData = legacy.playlistData || {};
+  const sameLength = Array.isArray(plan.planData) && plan.planData.length === legacy.plan.length;
+  const sameTitle = playlistData.title && playlistData.title === plan.title;
+  const samePlaylist = (playlistData.url || playlistData.id) && [playlistData.url, playlistData.id].includes(plan.playlistUrl);
+  return sameLength && (sameTitle || samePlaylist);
+}
+
+/**
+ * Whether a saved plan was built from the legacy key's playlist
+ */
+function isLegacyPlaylist(plan, legacy) {
+  const playlistData = legacy.playlistData || {};
+  const url = playlistData.url || playlistData.id;
+  return Boolean(url) && plan.playlistUrl === url;
+}
+
+/**
+ * Carry completion from the legacy copy into a saved plan
+ * A video counts as completed if either copy says so.
+ */
+function mergeLegacyCompletion(planData, legacyPlanData) {
+  planData.forEach((dayData, dayIndex) => {
+    const legacyDay = legacyPlanData[dayIndex] || {};
+    const legacyVideos = legacyDay.videos || [];
+    const videos = dayData.videos || [];
+
+    videos.forEach((video, videoIndex) => {
+      const legacyVideo = legacyVideos[videoIndex];
+      if (legacyDay.completed || (legacyVideo && legacyVideo.id === video.id && legacyVideo.completed)) {
+        video.completed = true;
+      }
+    });
+
+    dayData.completed = videos.length > 0
+      ? videos.every(video => video.completed === true)
+      : Boolean(dayData.completed || legacyDay.completed);
+  });
+}
+
+/**
+ * v1: the popup used to keep the active plan in a separate 'planData' key and
+ * merge it back by title and length on every load. Fold it into its saved plan
+ * (or save it as a plan if it predates multi-plan storage), then drop the key.
+ */
+async function migrateLegacyPlanData() {
+  const legacy = await getFromStorage(LEGACY_PLAN_STORAGE_KEY);
+
+  if (legacy && Array.isArray(legacy.plan) && legacy.plan.length > 0) {
+    const plansData = await getPlansData();
+    const match = plansData.plans.find(plan => isLegacyPlanMatch(plan, legacy));
+
+    if (match) {
+      mergeLegacyCompletion(match.planData, legacy.plan);
+      match.progress = deriveProgressFromPlanData(match.planData);
+      await savePlansData(plansData);
+    } else if (!plansData.plans.some(plan => isLegacyPlaylist(plan, legacy))) {
+      // Skipped above if an interrupted earlier run already saved it
+      const playlistData = legacy.playlistData || {};
+      const previousActivePlanId = plansData.activePlanId;
+      await createPlan(
+        {
+          title: playlistData.title || 'Saved Plan',
+          url: playlistData.url || playlistData.id || '',
+          videoCount: playlistData.videoCount || 0,
+          videos: playlistData.videos
+        },
+        legacy.dailyWatchTime,
+        legacy.plan,
+        legacy.playbackSpeed || 1.0,
+        legacy.mode || 'custom'
+      );
+      if (previousActivePlanId) {
+        await setActivePlan(previousActivePlanId);
+      }
+    }
+  }
+
+  await removeFromStorage(LEGACY_PLAN_STORAGE_KEY);
+}
+
+/**
+ * v2: watch ledgers were keyed by day number, which re-plans renumber. Move each
+ * day's entry onto its first segment (see rekeyDayNumberLedger).
+ */
+async function migrateWatchLedgerKeys() {
+  const ledgers = await getFromStorage(LEDGER_STORAGE_KEY);
+  if (!ledgers) return;
+
+  const plansData = await getPlansData();
+  plansData.plans.forEach(plan => {
+    if (ledgers[plan.id]) {
+      ledgers[plan.id] = rekeyDayNumberLedger(plan.planData, ledgers[plan.id]);
+    }
+  });
+  await saveToStorage(LEDGER_STORAGE_KEY, ledgers);
+}
+
+/**
+ * v3: plan video counts included videos excluded from the plan
+ */
+async function migratePlanVideoCounts() {
+  const plansData = await getPlansData();
+  plansData.plans.forEach(plan => {
+    plan.totalVideos = countPlanVideos(plan.videos, plan.excludedVideoIds, plan.totalVideos);
+  });
+  await savePlansData(plansData);
+}
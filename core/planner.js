@@ -4,6 +4,14 @@
  * Handles video distribution and partial video carryover
  */
 
+// How far a cut may move to reach a chapter boundary, as a share of the day's budget
+const CHAPTER_SNAP_FRACTION = 0.25;
+
+// Day entry types; watch days carry no type field
+const DAY_TYPE_WATCH = 'watch';
+const DAY_TYPE_BUFFER = 'buffer';
+const DAY_TYPE_REVIEW = 'review';
+
 /**
  * Generates a day-wise watch plan from videos and daily watch time
  * 
@@ -13,35 +21,104 @@
  *   → Partial time assigned to current day
  *   → Remainder carried over to next day
  * - Each day has a list of video segments to watch
+ * - With a startDate, days are laid out on the calendar and the budget
+ *   comes from the weekly availability map (rest days are skipped)
+ * - Splitting options (see chooseSegmentLength) can finish a video slightly
+ *   over budget, avoid short slivers, or keep videos whole
+ * - Videos with chapters are cut at the nearest chapter boundary when one is close
+ * - A video may carry startMinutes/endMinutes to schedule only that range
+ *   (used when re-planning unfinished parts of a plan)
+ * - Buffer and weekly review days (see createPlanSlots) take a study day
+ *   without new videos and are returned with a `type` field
  * 
- * @param {Array} videos - [{id, title, durationMinutes}]
+ * @param {Array} videos - [{id, title, durationMinutes, chapters?: [{title, startMinutes}], startMinutes?, endMinutes?}]
  * @param {number} dailyWatchTimeMinutes - Minutes available per day
- * @returns {Array} - [{day, videos: [{title, startTime, endTime, duration}], totalTime, completed}]
+ * @param {number} playbackSpeed - Playback speed multiplier
+ * @param {Object} options - { startDate: 'YYYY-MM-DD', weeklyMinutes: [Sun..Sat],
+ *                             minSegmentMinutes, overflowTolerance, neverSplit,
+ *                             firstDayUsedMinutes, bufferEveryDays, weeklyReview }
+ * @returns {Array} - [{day, date, type?, videos: [{title, startTime, endTime, duration}], totalTime, completed}]
  */
-function generateDayWisePlan(videos, dailyWatchTimeMinutes, playbackSpeed = 1) {
+function generateDayWisePlan(videos, dailyWatchTimeMinutes, playbackSpeed = 1, options = {}) {
   if (!videos || videos.length === 0) return [];
   if (!dailyWatchTimeMinutes || dailyWatchTimeMinutes <= 0) return [];
+
+  const calendar = createStudyCalendar(options.startDate, options.weeklyMinutes, dailyWatchTimeMinutes);
+  if (!calendar) return [];
+  const slots = createPlanSlots(calendar, options, dailyWatchTimeMinutes);
   
   const plan = [];
-  let currentDay = 1;
-  let remainingDailyTime = dailyWatchTimeMinutes; // in actual minutes
+  let currentSlot = slots.next();
+  // Time already used applies to the start date only, not to a later first slot when it's a rest day
+  const usedMinutes = currentSlot.date === options.startDate ? (options.firstDayUsedMinutes || 0) : 0;
+  let remainingDailyTime = currentSlot.minutes - usedMinutes; // in actual minutes
   let currentDayVideos = [];
   let currentDayTotalTime = 0; // in actual minutes
+
+  const finalizeDay = () => {
+    // Buffer/review days skipped on the way to this slot come first
+    plan.push(...slots.takeSpecialDays());
+    plan.push({
+      day: plan.length + 1,
+      date: currentSlot.date,
+      videos: currentDayVideos,
+      totalTime: currentDayTotalTime,
+      completed: false
+    });
+    
+    // Reset for next day
+    currentSlot = slots.next();
+    remainingDailyTime = currentSlot.minutes;
+    currentDayVideos = [];
+    currentDayTotalTime = 0;
+  };
   
   for (let i = 0; i < videos.length; i++) {
     const video = videos[i];
-    let videoRemainingTimeOriginal = video.durationMinutes;
-    let videoStartTimeOriginal = 0;
+    let videoStartTimeOriginal = video.startMinutes || 0;
+    const videoRangeEndOriginal = getVideoRangeEnd(video);
+    let videoRemainingTimeOriginal = videoRangeEndOriginal - videoStartTimeOriginal;
     
     // Process this video (might span multiple days)
     while (videoRemainingTimeOriginal > 0.01) {
+      // First day already used up (e.g. re-planning after today's watching)
+      if (remainingDailyTime <= 0.01 && currentDayVideos.length === 0) {
+        currentSlot = slots.next();
+        remainingDailyTime = currentSlot.minutes;
+      }
+
       const videoRemainingTimeActual = videoRemainingTimeOriginal / playbackSpeed;
-      const timeToWatchActual = Math.min(videoRemainingTimeActual, remainingDailyTime);
-      const timeToWatchOriginal = timeToWatchActual * playbackSpeed;
-      const videoEndTimeOriginal = videoStartTimeOriginal + timeToWatchOriginal;
-      
-      // Add video segment to current day
-      currentDayVideos.push({
+      const timeToWatchActual = chooseSegmentLength(
+        videoRemainingTimeActual,
+        remainingDailyTime,
+        currentSlot.minutes,
+        currentDayVideos.length > 0,
+        playbackSpeed,
+        options
+      );
+
+      // Nothing fits today without breaking the splitting rules: start a new day
+      if (timeToWatchActual <= 0) {
+        finalizeDay();
+        continue;
+      }
+
+      let videoEndTimeOriginal = videoStartTimeOriginal + timeToWatchActual * playbackSpeed;
+      const isSplit = timeToWatchActual < videoRemainingTimeActual - 0.01;
+
+      if (isSplit) {
+        videoEndTimeOriginal = snapToChapterBoundary(
+          video,
+          videoStartTimeOriginal,
+          videoEndTimeOriginal,
+          videoRangeEndOriginal,
+          currentSlot.minutes * CHAPTER_SNAP_FRACTION * playbackSpeed,
+          options.minSegmentMinutes || 0
+        );
+      }
+
+      const timeToWatchOriginal = videoEndTimeOriginal - videoStartTimeOriginal;
+      const segment = {
         id: video.id,
         title: video.title,
         startTime: videoStartTimeOriginal > 0.01 ? videoStartTimeOriginal : null, // null means watch from beginning
@@ -49,74 +126,702 @@ function generateDayWisePlan(videos, dailyWatchTimeMinutes, playbackSpeed = 1) {
         duration: timeToWatchOriginal, // original duration of segment to show in UI
         isPartial: videoStartTimeOriginal > 0.01 || videoEndTimeOriginal < video.durationMinutes - 0.01,
         completed: false
-      });
+      };
+
+      if (segment.isPartial && Array.isArray(video.chapters) && video.chapters.length > 0) {
+        segment.chapterTitles = getChapterTitlesInRange(video, videoStartTimeOriginal, videoEndTimeOriginal);
+      }
       
-      currentDayTotalTime += timeToWatchActual;
-      remainingDailyTime -= timeToWatchActual;
+      // Add video segment to current day
+      currentDayVideos.push(segment);
+      
+      currentDayTotalTime += timeToWatchOriginal / playbackSpeed;
+      remainingDailyTime -= timeToWatchOriginal / playbackSpeed;
       videoRemainingTimeOriginal -= timeToWatchOriginal;
       videoStartTimeOriginal = videoEndTimeOriginal;
       
-      // If day is full or video is done, finalize day
-      if (remainingDailyTime <= 0.01 || (videoRemainingTimeOriginal <= 0.01 && i === videos.length - 1)) {
-        plan.push({
-          day: currentDay,
-          videos: currentDayVideos,
-          totalTime: currentDayTotalTime,
-          completed: false
-        });
-        
-        // Reset for next day
-        currentDay++;
-        remainingDailyTime = dailyWatchTimeMinutes;
-        currentDayVideos = [];
-        currentDayTotalTime = 0;
+      // If day is full, the video was split, or the playlist is done, finalize day
+      if (remainingDailyTime <= 0.01 || isSplit || (videoRemainingTimeOriginal <= 0.01 && i === videos.length - 1)) {
+        finalizeDay();
       }
     }
   }
   
   // Add any remaining partial day
   if (currentDayVideos.length > 0) {
-    plan.push({
-      day: currentDay,
-      videos: currentDayVideos,
-      totalTime: currentDayTotalTime,
-      completed: false
-    });
+    finalizeDay();
   }
   
-  return plan;
+  return plan.map((dayData, index) => ({ ...dayData, day: index + 1 }));
+}
+
+/**
+ * Wraps a study calendar so some study days become buffer or review days
+ * 
+ * - bufferEveryDays: after that many watch days, the next study day is a buffer day
+ * - weeklyReview: the last study day of each week (Monday to Sunday) with
+ *   watch days before it becomes a review day; undated plans use 7-day weeks
+ * 
+ * next() returns the next slot for watching. Special days passed on the way are
+ * held until takeSpecialDays(), so none are added after the last watch day.
+ * 
+ * @param {Object} calendar - From createStudyCalendar
+ * @param {Object} options - { bufferEveryDays, weeklyReview, weeklyMinutes }
+ * @param {number} defaultMinutes - Default daily budget
+ * @returns {{next: Function, takeSpecialDays: Function}}
+ */
+function createPlanSlots(calendar, options = {}, defaultMinutes = 1) {
+  const bufferEveryDays = options.bufferEveryDays > 0 ? Math.floor(options.bufferEveryDays) : 0;
+  let watchDaysSinceBuffer = 0;
+  let lastWatchWeek = null;
+  let slotIndex = 0;
+  let specialDays = [];
+
+  const createSpecialDay = (type, slot) => ({
+    day: 0,
+    date: slot.date,
+    type,
+    videos: [],
+    totalTime: 0,
+    completed: false
+  });
+
+  return {
+    next() {
+      for (;;) {
+        const slot = calendar.next();
+        const week = slot.date ? getWeekStartKey(slot.date) : Math.floor(slotIndex / 7);
+        const isWeekEnd = slot.date
+          ? isLastStudyDayOfWeek(slot.date, options.weeklyMinutes, defaultMinutes)
+          : slotIndex % 7 === 6;
+        slotIndex++;
+
+        if (bufferEveryDays > 0 && watchDaysSinceBuffer >= bufferEveryDays) {
+          watchDaysSinceBuffer = 0;
+          specialDays.push(createSpecialDay(DAY_TYPE_BUFFER, slot));
+          continue;
+        }
+        if (options.weeklyReview && isWeekEnd && lastWatchWeek === week) {
+          lastWatchWeek = null;
+          specialDays.push(createSpecialDay(DAY_TYPE_REVIEW, slot));
+          continue;
+        }
+
+        watchDaysSinceBuffer++;
+        lastWatchWeek = week;
+        return slot;
+      }
+    },
+    takeSpecialDays() {
+      const days = specialDays;
+      specialDays = [];
+      return days;
+    }
+  };
+}
+
+/**
+ * Date key of the Monday starting the week of a date key
+ */
+function getWeekStartKey(dateKey) {
+  const date = parseDateKey(dateKey);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  return addDaysToDateKey(dateKey, -daysSinceMonday);
+}
+
+/**
+ * Whether no study day follows a date within its week (Monday to Sunday)
+ */
+function isLastStudyDayOfWeek(dateKey, weeklyMinutes, defaultMinutes) {
+  const weekday = parseDateKey(dateKey).getDay();
+  // Weekdays after this one up to Sunday, in getDay() numbering
+  for (let offset = 1; (weekday + 6) % 7 + offset <= 6; offset++) {
+    if (getMinutesForWeekday(weeklyMinutes, (weekday + offset) % 7, defaultMinutes) > 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Type of a plan day entry ('watch', 'buffer' or 'review')
+ */
+function getDayType(dayData) {
+  return (dayData && dayData.type) || DAY_TYPE_WATCH;
+}
+
+/**
+ * Videos completed in the week a review day closes
+ * Looks back to the previous review day (or the start of the plan).
+ * 
+ * @param {Array} planData - Day-wise plan
+ * @param {number} dayIndex - Index of the review day
+ * @returns {Array} - [{id, title}] in watch order, each video once
+ */
+function getReviewVideos(planData, dayIndex) {
+  const videos = [];
+  const seen = new Set();
+
+  let startIndex = 0;
+  for (let i = dayIndex - 1; i >= 0; i--) {
+    if (getDayType(planData[i]) === DAY_TYPE_REVIEW) {
+      startIndex = i + 1;
+      break;
+    }
+  }
+
+  for (let i = startIndex; i < dayIndex; i++) {
+    const dayData = planData[i];
+    (dayData.videos || []).forEach(video => {
+      if ((video.completed || dayData.completed) && !seen.has(video.id)) {
+        seen.add(video.id);
+        videos.push({ id: video.id, title: video.title });
+      }
+    });
+  }
+
+  return videos;
+}
+
+/**
+ * Decides how much of a video (in actual minutes) goes into the current day
+ * 
+ * - The rest of the video fits, or fits within the overflow tolerance → take it all
+ * - neverSplit → whole video on a fresh day (even if it exceeds the budget)
+ * - Otherwise split at the remaining budget, but never leave a segment shorter
+ *   than minSegmentMinutes on either side of the cut
+ * 
+ * Returns 0 when the video should move to the next day instead.
+ * Only returns 0 for days that already have content, so planning always advances.
+ * 
+ * @param {number} remainingActual - Unscheduled part of the video, actual minutes
+ * @param {number} remainingDailyTime - Budget left today, actual minutes
+ * @param {number} dayBudget - Today's full budget, actual minutes
+ * @param {boolean} dayHasContent - Whether today already has segments
+ * @param {number} playbackSpeed - Playback speed multiplier
+ * @param {Object} options - { minSegmentMinutes, overflowTolerance, neverSplit }
+ * @returns {number}
+ */
+function chooseSegmentLength(remainingActual, remainingDailyTime, dayBudget, dayHasContent, playbackSpeed, options = {}) {
+  if (remainingActual <= remainingDailyTime + 0.01) return remainingActual;
+
+  // Finish the video slightly over budget rather than splitting it
+  const overflowAllowance = dayBudget * (options.overflowTolerance || 0);
+  if (remainingActual <= remainingDailyTime + overflowAllowance + 0.01) return remainingActual;
+
+  if (options.neverSplit) {
+    return dayHasContent ? 0 : remainingActual;
+  }
+
+  // Minimum segment length is given in video minutes
+  const minSegmentActual = (options.minSegmentMinutes || 0) / playbackSpeed;
+  let take = remainingDailyTime;
+
+  // Don't leave a sliver for the next day
+  if (remainingActual - take < minSegmentActual) {
+    take = remainingActual - minSegmentActual;
+  }
+
+  // Don't end today with a sliver
+  if (take < Math.max(minSegmentActual, 0.01)) {
+    if (dayHasContent) return 0;
+
+    // Fresh day with a budget below the minimum segment length
+    take = Math.max(minSegmentActual, remainingDailyTime);
+    if (remainingActual - take < minSegmentActual) {
+      take = remainingActual;
+    }
+  }
+
+  return Math.min(take, remainingActual);
+}
+
+/**
+ * End of the range to schedule for a video, in video minutes
+ */
+function getVideoRangeEnd(video) {
+  return typeof video.endMinutes === 'number' ? video.endMinutes : video.durationMinutes;
+}
+
+/**
+ * Moves a cut point to the nearest chapter boundary within a window
+ * Keeps at least minSegmentMinutes on both sides of the cut.
+ * Returns the original cut point when the video has no usable boundary.
+ * 
+ * @param {Object} video - {durationMinutes, chapters: [{title, startMinutes}]}
+ * @param {number} segmentStart - Segment start, video minutes
+ * @param {number} cutPoint - Budget-based cut, video minutes
+ * @param {number} rangeEnd - End of the range being scheduled, video minutes
+ * @param {number} window - Max distance to move the cut, video minutes
+ * @param {number} minSegmentMinutes - Minimum segment length, video minutes
+ * @returns {number}
+ */
+function snapToChapterBoundary(video, segmentStart, cutPoint, rangeEnd, window, minSegmentMinutes = 0) {
+  if (!Array.isArray(video.chapters) || video.chapters.length === 0) return cutPoint;
+
+  let bestBoundary = cutPoint;
+  let bestDistance = Infinity;
+
+  video.chapters.forEach(chapter => {
+    const boundary = chapter.startMinutes;
+    if (boundary <= segmentStart + Math.max(minSegmentMinutes, 0.01)) return;
+    if (boundary >= rangeEnd - Math.max(minSegmentMinutes, 0.01)) return;
+
+    const distance = Math.abs(boundary - cutPoint);
+    if (distance <= window && distance < bestDistance) {
+      bestBoundary = boundary;
+      bestDistance = distance;
+    }
+  });
+
+  return bestBoundary;
+}
+
+/**
+ * Lists titles of the chapters overlapping a segment of a video
+ * 
+ * @param {Object} video - {durationMinutes, chapters: [{title, startMinutes}]}
+ * @param {number} start - Segment start, video minutes
+ * @param {number} end - Segment end, video minutes
+ * @returns {Array<string>}
+ */
+function getChapterTitlesInRange(video, start, end) {
+  if (!Array.isArray(video.chapters)) return [];
+
+  return video.chapters
+    .filter((chapter, index) => {
+      const chapterEnd = index + 1 < video.chapters.length ? video.chapters[index + 1].startMinutes : video.durationMinutes;
+      return chapter.startMinutes < end - 0.01 && chapterEnd > start + 0.01;
+    })
+    .map(chapter => chapter.title);
 }
 
 /**
  * Generates a day-wise watch plan where each video gets its own day entry
+ * Rest days in the weekly map (0 minutes) are skipped when dating the plan
  * 
  * @param {Array} videos - [{id, title, durationMinutes}]
- * @returns {Array} - [{day, videos: [{title, startTime, endTime, duration}], totalTime, completed}]
+ * @param {Object} options - { startDate: 'YYYY-MM-DD', weeklyMinutes: [Sun..Sat], bufferEveryDays, weeklyReview }
+ * @returns {Array} - [{day, date, videos: [{title, startTime, endTime, duration}], totalTime, completed}]
  */
-function generateVideoByVideoplan(videos) {
-  if (!videos || videos.length === 0) return [];
+function generateVideoByVideoplan(videos, options = {}) {
+  return generateVideosPerDayPlan(videos, 1, options);
+}
+
+/**
+ * Generates a day-wise watch plan with a fixed number of whole videos per day
+ * Videos are never split; the last day may hold fewer videos.
+ * A video carrying startMinutes/endMinutes is scheduled as that range only.
+ * Rest days in the weekly map (0 minutes) are skipped when dating the plan.
+ * 
+ * @param {Array} videos - [{id, title, durationMinutes}]
+ * @param {number} videosPerDay - Whole videos to watch each study day
+ * @param {Object} options - { startDate: 'YYYY-MM-DD', weeklyMinutes: [Sun..Sat], bufferEveryDays, weeklyReview }
+ * @returns {Array} - [{day, date, videos: [{title, startTime, endTime, duration}], totalTime, completed}]
+ */
+function generateVideosPerDayPlan(videos, videosPerDay, options = {}) {
+  if (!videos || videos.length === 0 || !(videosPerDay >= 1)) return [];
+
+  // Budget is irrelevant here; any positive default marks a study day
+  const calendar = createStudyCalendar(options.startDate, options.weeklyMinutes, 1);
+  if (!calendar) return [];
+  const slots = createPlanSlots(calendar, options, 1);
   
   const plan = [];
   
-  for (let i = 0; i < videos.length; i++) {
-    const video = videos[i];
-    const durationOriginal = video.durationMinutes;
-    
-    plan.push({
-      day: i + 1,
-      videos: [{
+  for (let i = 0; i < videos.length; i += videosPerDay) {
+    const dayVideos = videos.slice(i, i + videosPerDay).map(video => {
+      // Ranges (partly watched videos) keep their bounds
+      const start = video.startMinutes || 0;
+      const end = getVideoRangeEnd(video);
+      const isPartial = start > 0.01 || end < video.durationMinutes - 0.01;
+      return {
         id: video.id,
         title: video.title,
-        startTime: null,
-        endTime: null,
-        duration: durationOriginal,
-        isPartial: false,
+        startTime: isPartial ? start : null,
+        endTime: isPartial ? end : null,
+        duration: end - start,
+        isPartial,
         completed: false
-      }],
-      totalTime: durationOriginal,
+      };
+    });
+    
+    const slot = slots.next();
+    plan.push(...slots.takeSpecialDays());
+    plan.push({
+      day: plan.length + 1,
+      date: slot.date,
+      videos: dayVideos,
+      totalTime: dayVideos.reduce((sum, video) => sum + video.duration, 0),
       completed: false
     });
   }
   
-  return plan;
+  return plan.map((dayData, index) => ({ ...dayData, day: index + 1 }));
+}
+
+/**
+ * Whether a plan mode schedules whole videos by count rather than by watch time
+ */
+function isWholeVideoMode(mode) {
+  return mode === 'video-by-video' || mode === 'videos-per-day';
+}
+
+/**
+ * Finds the smallest daily watch time that finishes the playlist by a deadline
+ * 
+ * Searches between the even split (total actual time ÷ study days) and the
+ * total for the smallest budget whose generated plan ends on or before the deadline.
+ * 
+ * @param {Array} videos - [{id, title, durationMinutes}]
+ * @param {string} deadline - Target finish date 'YYYY-MM-DD'
+ * @param {number} playbackSpeed - Playback speed multiplier
+ * @param {Object} options - { startDate: 'YYYY-MM-DD', weeklyMinutes: [Sun..Sat] }
+ * @returns {number|null} - Daily minutes, or null if no study day fits before the deadline
+ */
+function findDailyMinutesForDeadline(videos, deadline, playbackSpeed = 1, options = {}) {
+  if (!videos || videos.length === 0) return null;
+
+  const studyDays = countStudyDays(options.startDate, deadline, options.weeklyMinutes);
+  if (studyDays === 0) return null;
+
+  const totalActual = videos.reduce((sum, video) => sum + getVideoRangeEnd(video) - (video.startMinutes || 0), 0) / playbackSpeed;
+  const finishesInTime = (dailyMinutes) => {
+    const plan = generateDayWisePlan(videos, dailyMinutes, playbackSpeed, options);
+    const lastDate = plan.length > 0 ? plan[plan.length - 1].date : null;
+    return Boolean(lastDate) && diffDateKeys(lastDate, deadline) >= 0;
+  };
+
+  let low = Math.max(1, Math.ceil(totalActual / studyDays));
+  // Everything fits in one day at the latest
+  let high = Math.max(low, Math.ceil(totalActual));
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (finishesInTime(middle)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Rebuilds the playlist's video list from a plan's segments
+ * Used for plans saved before the video list was stored on the plan.
+ * The last segment of each video runs to its end, which gives its full duration.
+ * 
+ * @param {Array} planData - Day-wise plan
+ * @returns {Array} - [{id, title, durationMinutes}] in plan order
+ */
+function buildVideoCatalog(planData) {
+  const catalog = [];
+  const byId = new Map();
+
+  (planData || []).forEach(dayData => {
+    (dayData.videos || []).forEach(segment => {
+      const segmentEnd = segment.endTime !== null && segment.endTime !== undefined
+        ? segment.endTime
+        : (segment.startTime || 0) + (segment.duration || 0);
+
+      const existing = byId.get(segment.id);
+      if (existing) {
+        existing.durationMinutes = Math.max(existing.durationMinutes, segmentEnd);
+      } else {
+        const video = { id: segment.id, title: segment.title, durationMinutes: segmentEnd };
+        byId.set(segment.id, video);
+        catalog.push(video);
+      }
+    });
+  });
+
+  return catalog;
+}
+
+/**
+ * Drops excluded videos from a playlist's video list, keeping its order
+ * 
+ * @param {Array} videos - [{id, title, durationMinutes}] in watch order
+ * @param {Array<string>} excludedVideoIds - Ids of videos to skip
+ * @returns {Array}
+ */
+function selectPlanVideos(videos, excludedVideoIds) {
+  if (!Array.isArray(excludedVideoIds) || excludedVideoIds.length === 0) return videos || [];
+  const excluded = new Set(excludedVideoIds);
+  return (videos || []).filter(video => !excluded.has(video.id));
+}
+
+/**
+ * Videos a stored plan schedules, in its watch order and without exclusions
+ */
+function getPlanVideos(plan) {
+  const videos = Array.isArray(plan.videos) && plan.videos.length > 0 ? plan.videos : buildVideoCatalog(plan.planData);
+  return selectPlanVideos(videos, plan.excludedVideoIds);
+}
+
+/**
+ * Collects the watched time ranges of each video from completed segments
+ * 
+ * @param {Array} planData - Day-wise plan
+ * @returns {Map<string, Array<[number, number]>>} - video id -> sorted, merged [start, end] ranges in video minutes
+ */
+function collectWatchedRanges(planData) {
+  const ranges = new Map();
+
+  (planData || []).forEach(dayData => {
+    (dayData.videos || []).forEach(segment => {
+      if (!segment.completed && !dayData.completed) return;
+
+      const start = segment.startTime || 0;
+      const end = segment.endTime !== null && segment.endTime !== undefined ? segment.endTime : Infinity;
+      if (!ranges.has(segment.id)) ranges.set(segment.id, []);
+      ranges.get(segment.id).push([start, end]);
+    });
+  });
+
+  ranges.forEach((videoRanges, id) => {
+    videoRanges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    videoRanges.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1] + 0.01) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+    });
+    ranges.set(id, merged);
+  });
+
+  return ranges;
+}
+
+/**
+ * Lists the parts of each video that have not been watched yet, in playlist order
+ * A video with a watched middle part yields two ranges.
+ * 
+ * @param {Array} videos - [{id, title, durationMinutes, chapters?}]
+ * @param {Map} watchedRanges - From collectWatchedRanges
+ * @returns {Array} - [{id, title, durationMinutes, chapters?, startMinutes, endMinutes}]
+ */
+function collectUnwatchedItems(videos, watchedRanges) {
+  const items = [];
+
+  (videos || []).forEach(video => {
+    let cursor = 0;
+    (watchedRanges.get(video.id) || []).forEach(([start, end]) => {
+      if (start - cursor > 0.01) {
+        items.push({ ...video, startMinutes: cursor, endMinutes: Math.min(start, video.durationMinutes) });
+      }
+      cursor = Math.max(cursor, end);
+    });
+    if (video.durationMinutes - cursor > 0.01) {
+      items.push({ ...video, startMinutes: cursor, endMinutes: video.durationMinutes });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Keeps only completed segments, on the days they were watched
+ * Days without any completed segment are dropped.
+ * 
+ * @param {Array} planData - Day-wise plan
+ * @param {number} playbackSpeed - Speed the plan was watched at (for totalTime)
+ * @returns {Array} - Completed days
+ */
+function extractWatchedDays(planData, playbackSpeed = 1) {
+  return (planData || [])
+    .filter(dayData => dayData.completed || (dayData.videos || []).some(video => video.completed))
+    .map(dayData => {
+      const completedVideos = dayData.completed ? dayData.videos : dayData.videos.filter(video => video.completed);
+      return {
+        ...dayData,
+        videos: completedVideos,
+        totalTime: completedVideos.reduce((sum, video) => sum + (video.duration || 0), 0) / playbackSpeed,
+        completed: true
+      };
+    });
+}
+
+/**
+ * Works out where a schedule continuing after watched days starts
+ * If the last watched day is the start day itself, its used time is carried
+ * into the start day's budget (nothing is carried if it's a rest day);
+ * whole-video plans move on to the next day instead.
+ * 
+ * @param {Array} watchedDays - From extractWatchedDays
+ * @param {string} startDate - Preferred start date
+ * @param {boolean} isWholeVideo - Whether the new schedule uses whole videos
+ * @returns {{startDate:string, firstDayUsedMinutes:number}}
+ */
+function getContinuationStart(watchedDays, startDate, isWholeVideo) {
+  const lastWatchedDay = watchedDays[watchedDays.length - 1];
+  if (!lastWatchedDay || !lastWatchedDay.date) {
+    return { startDate, firstDayUsedMinutes: 0 };
+  }
+
+  const offset = diffDateKeys(startDate, lastWatchedDay.date);
+  if (offset > 0 || (offset === 0 && isWholeVideo)) {
+    return { startDate: addDaysToDateKey(lastWatchedDay.date, 1), firstDayUsedMinutes: 0 };
+  }
+  if (offset === 0) {
+    return { startDate, firstDayUsedMinutes: lastWatchedDay.totalTime };
+  }
+  return { startDate, firstDayUsedMinutes: 0 };
+}
+
+/**
+ * Appends newly scheduled days after watched days and renumbers them
+ * A first new day on the same date as the last watched day is merged into it.
+ */
+function joinWatchedAndScheduledDays(watchedDays, scheduledDays) {
+  const days = [...watchedDays];
+  const lastWatchedDay = days[days.length - 1];
+  let newDays = scheduledDays;
+
+  if (lastWatchedDay && lastWatchedDay.date && newDays.length > 0 && newDays[0].date === lastWatchedDay.date) {
+    const firstDay = newDays[0];
+    days[days.length - 1] = {
+      ...lastWatchedDay,
+      videos: [...lastWatchedDay.videos, ...firstDay.videos],
+      totalTime: lastWatchedDay.totalTime + firstDay.totalTime,
+      completed: false
+    };
+    newDays = newDays.slice(1);
+  }
+
+  return [...days, ...newDays].map((dayData, index) => ({ ...dayData, day: index + 1 }));
+}
+
+/**
+ * Generates days for a plan mode
+ * @param {Array} items - Videos or video ranges to schedule
+ * @param {Object} settings - { mode, dailyMinutes, playbackSpeed, videosPerDay }
+ * @param {Object} options - Planner options (startDate, weeklyMinutes, split options, firstDayUsedMinutes)
+ */
+function generateDaysForMode(items, settings, options) {
+  if (settings.mode === 'video-by-video') {
+    return generateVideoByVideoplan(items, options);
+  }
+  if (settings.mode === 'videos-per-day') {
+    return generateVideosPerDayPlan(items, settings.videosPerDay || 1, options);
+  }
+  return generateDayWisePlan(items, settings.dailyMinutes, settings.playbackSpeed || 1, options);
+}
+
+/**
+ * Re-plans a plan's unfinished content from today onward
+ * 
+ * Completed segments stay on their original days (days without any completed
+ * segment are dropped). Everything unwatched — overdue or upcoming — is
+ * scheduled again starting today, or the day after the last day watched ahead.
+ * If today already has completed segments, the rest of today's budget is used first.
+ * 
+ * Strategies:
+ *   'extend'   → keep the daily budget; the end date moves out
+ *   'compress' → keep the end date (deadline, or current last day) and raise
+ *                the daily budget; custom weekday budgets become the shared budget
+ * 
+ * @param {Object} plan - Stored plan (planData, mode, dailyMinutes, playbackSpeed, weeklyMinutes, splitOptions, specialDays, videos, excludedVideoIds)
+ * @param {string} strategy - 'extend' | 'compress'
+ * @param {string} todayKey - Local date key for today
+ * @returns {{planData:Array,dailyMinutes:number|null,weeklyMinutes:Array|null}|null} - null if not possible
+ */
+function rebalancePlanData(plan, strategy = 'extend', todayKey = getTodayDateKey()) {
+  if (!plan || !Array.isArray(plan.planData)) return null;
+  // Only dated plans can fall behind
+  if (!plan.planData.some(dayData => dayData.date)) return null;
+
+  const isWholeVideo = isWholeVideoMode(plan.mode);
+  if (isWholeVideo && strategy === 'compress') return null;
+
+  const speed = isWholeVideo ? 1 : (plan.playbackSpeed || 1);
+  const videos = getPlanVideos(plan);
+  const pendingItems = collectUnwatchedItems(videos, collectWatchedRanges(plan.planData));
+
+  if (pendingItems.length === 0) {
+    return { planData: plan.planData, dailyMinutes: plan.dailyMinutes, weeklyMinutes: plan.weeklyMinutes || null };
+  }
+
+  const watchedDays = extractWatchedDays(plan.planData, speed);
+  const start = getContinuationStart(watchedDays, todayKey, isWholeVideo);
+
+  let dailyMinutes = plan.dailyMinutes;
+  let weeklyMinutes = Array.isArray(plan.weeklyMinutes) ? plan.weeklyMinutes : null;
+
+  if (strategy === 'compress') {
+    const lastDate = plan.planData[plan.planData.length - 1].date;
+    const endDate = plan.deadline || lastDate;
+    if (!endDate || diffDateKeys(start.startDate, endDate) < 0) return null;
+
+    // A single shared budget on every study day, rest days kept
+    weeklyMinutes = weeklyMinutes ? weeklyMinutes.map(value => (value === 0 ? 0 : null)) : null;
+
+    const requiredMinutes = findDailyMinutesForDeadline(pendingItems, endDate, speed, {
+      ...(plan.splitOptions || {}),
+      ...(plan.specialDays || {}),
+      ...start,
+      weeklyMinutes
+    });
+    if (!requiredMinutes) return null;
+    dailyMinutes = Math.max(requiredMinutes, plan.dailyMinutes || 0);
+  }
+
+  const newDays = generateDaysForMode(
+    pendingItems,
+    { mode: plan.mode, dailyMinutes, playbackSpeed: speed, videosPerDay: plan.videosPerDay },
+    { ...(plan.splitOptions || {}), ...(plan.specialDays || {}), ...start, weeklyMinutes }
+  );
+  if (newDays.length === 0) return null;
+
+  return { planData: joinWatchedAndScheduledDays(watchedDays, newDays), dailyMinutes, weeklyMinutes };
+}
+
+/**
+ * Regenerates a plan with new settings, keeping progress
+ * 
+ * Watched content is matched by video id and time range, so completed segments
+ * — including parts of partially watched videos — are never scheduled again.
+ * Completed segments stay on the days they were watched; the unwatched rest of
+ * the playlist is planned with the new settings from the new start date.
+ * 
+ * @param {Object} plan - Stored plan (planData, mode, playbackSpeed, videos, excludedVideoIds)
+ * @param {Object} settings - { mode, dailyMinutes, playbackSpeed, videosPerDay, deadline,
+ *                              startDate, weeklyMinutes, splitOptions, specialDays }
+ * @returns {{planData:Array,dailyMinutes:number|null}|null} - null if nothing could be scheduled
+ */
+function regeneratePlanData(plan, settings) {
+  if (!plan || !Array.isArray(plan.planData)) return null;
+
+  const isWholeVideo = isWholeVideoMode(settings.mode);
+  const videos = getPlanVideos(plan);
+  const pendingItems = collectUnwatchedItems(videos, collectWatchedRanges(plan.planData));
+  // Watched days keep the time they were planned with
+  const watchedDays = extractWatchedDays(plan.planData, isWholeVideoMode(plan.mode) ? 1 : (plan.playbackSpeed || 1));
+
+  if (pendingItems.length === 0) {
+    return { planData: joinWatchedAndScheduledDays(watchedDays, []), dailyMinutes: settings.dailyMinutes };
+  }
+
+  const start = getContinuationStart(watchedDays, settings.startDate || getTodayDateKey(), isWholeVideo);
+  const options = {
+    ...(isWholeVideo ? {} : (settings.splitOptions || {})),
+    ...(settings.specialDays || {}),
+    ...start,
+    weeklyMinutes: settings.weeklyMinutes
+  };
+
+  let dailyMinutes = settings.dailyMinutes;
+  if (settings.mode === 'deadline') {
+    dailyMinutes = findDailyMinutesForDeadline(pendingItems, settings.deadline, settings.playbackSpeed || 1, options);
+    if (!dailyMinutes) return null;
+  }
+
+  const newDays = generateDaysForMode(pendingItems, { ...settings, dailyMinutes }, options);
+  if (newDays.length === 0) return null;
+
+  return { planData: joinWatchedAndScheduledDays(watchedDays, newDays), dailyMinutes };
 }
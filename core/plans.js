@@ -94,8 +94,10 @@ async function savePlansData(data) {
 
 /**
  * Create a new plan from current playlist data
+ * options: { startDate, weeklyMinutes, deadline, splitOptions, specialDays, videosPerDay } - settings used to generate the plan
+ *          { excludedVideoIds } - playlist videos left out of the plan
  */
-async function createPlan(playlistData, dailyWatchTime, plan, playbackSpeed = 1.0, mode = 'custom') {
+async function createPlan(playlistData, dailyWatchTime, plan, playbackSpeed = 1.0, mode = 'custom', options = {}) {
   const plansData = await getPlansData();
   
   // Calculate total days needed
@@ -105,12 +107,25 @@ async function createPlan(playlistData, dailyWatchTime, plan, playbackSpeed = 1.
     id: generatePlanId(),
     title: playlistData.title,
     playlistUrl: playlistData.url || '',
-    totalVideos: playlistData.videoCount,
-    dailyMinutes: mode === 'video-by-video' ? null : dailyWatchTime,
-    playbackSpeed: mode === 'video-by-video' ? null : playbackSpeed,
+    // Member playlists of a combined course, in watch order
+    playlists: Array.isArray(playlistData.playlists) ? playlistData.playlists : [],
+    totalVideos: countPlanVideos(playlistData.videos, options.excludedVideoIds, playlistData.videoCount),
+    dailyMinutes: isWholeVideoMode(mode) ? null : dailyWatchTime,
+    playbackSpeed: isWholeVideoMode(mode) ? null : playbackSpeed,
+    autoApplySpeed: true,
     mode: mode,
-    videosPerDay: mode === 'video-by-video' ? 1 : (plan[0]?.videos?.length || 0),
+    videosPerDay: mode === 'video-by-video' ? 1 : (options.videosPerDay || plan[0]?.videos?.length || 0),
+    startDate: options.startDate || plan[0]?.date || null,
+    weeklyMinutes: Array.isArray(options.weeklyMinutes) ? options.weeklyMinutes : null,
+    deadline: mode === 'deadline' ? options.deadline : null,
+    splitOptions: options.splitOptions || null,
+    specialDays: options.specialDays || null,
+    // Playlist videos in watch order, kept so the plan can be re-planned later
+    videos: Array.isArray(playlistData.videos) ? playlistData.videos : [],
+    excludedVideoIds: Array.isArray(options.excludedVideoIds) ? options.excludedVideoIds : [],
     createdAt: Date.now(),
+    // Last change to settings or day layout (completion is stamped per segment)
+    updatedAt: Date.now(),
     totalDays: totalDays,
     progress: deriveProgressFromPlanData(plan),
     // Store the plan data for display
@@ -126,6 +141,29 @@ async function createPlan(playlistData, dailyWatchTime, plan, playbackSpeed = 1.
   return newPlan;
 }
 
+/**
+ * Number of videos a plan schedules: the playlist's videos minus exclusions
+ * Falls back to the playlist's own count when its video list isn't known
+ */
+function countPlanVideos(videos, excludedVideoIds, fallbackCount = 0) {
+  if (!Array.isArray(videos) || videos.length === 0) return fallbackCount;
+  return selectPlanVideos(videos, excludedVideoIds).length;
+}
+
+/**
+ * Playlist ids a plan was built from (its main playlist first)
+ * @param {Object} plan
+ * @returns {Array<string>}
+ */
+function getPlanPlaylistIds(plan) {
+  const ids = (plan.playlists || []).map(playlist => playlist.id);
+  const match = (plan.playlistUrl || '').match(/[?&]list=([a-zA-Z0-9_-]+)/);
+  if (match && !ids.includes(match[1])) {
+    ids.unshift(match[1]);
+  }
+  return ids;
+}
+
 /**
  * Get active plan
  */
@@ -182,6 +220,8 @@ async function deletePlan(planId) {
 
   // Step 5: Persist updated state to chrome.storage.local
   await savePlansData(plansData);
+  await deleteWatchLedger(planId);
+  await recordPlanDeletion(planId);
 
   return { deleted: true, activePlanId: plansData.activePlanId };
 }
@@ -270,6 +310,183 @@ function calculateCurrentDayFromPlanData(planData, completedVideos) {
   return planData.length;
 }
 
+/**
+ * Work out what a deadline plan needs from today onward
+ * Remaining time counts unfinished segments at the plan's playback speed,
+ * spread over the study days left between today and the deadline (inclusive).
+ * @param {Object} plan - Plan with planData, deadline, playbackSpeed, weeklyMinutes, dailyMinutes
+ * @param {string} todayKey - Local date key for today
+ * @returns {{deadline:string,remainingMinutes:number,studyDaysLeft:number,requiredDailyMinutes:number|null,isBehind:boolean}|null}
+ */
+function calculateDeadlineStatus(plan, todayKey = getTodayDateKey()) {
+  if (!plan || !plan.deadline || !Array.isArray(plan.planData)) return null;
+
+  const speed = plan.playbackSpeed || 1;
+  let remainingMinutes = 0;
+  plan.planData.forEach(dayData => {
+    if (dayData.completed) return;
+    (dayData.videos || []).forEach(video => {
+      if (!video.completed) {
+        remainingMinutes += (video.duration || 0) / speed;
+      }
+    });
+  });
+
+  const studyDaysLeft = countStudyDays(todayKey, plan.deadline, plan.weeklyMinutes);
+  const requiredDailyMinutes = studyDaysLeft > 0 ? Math.ceil(remainingMinutes / studyDaysLeft) : null;
+
+  return {
+    deadline: plan.deadline,
+    remainingMinutes,
+    studyDaysLeft,
+    requiredDailyMinutes,
+    isBehind: remainingMinutes > 0.01 && (requiredDailyMinutes === null || requiredDailyMinutes > (plan.dailyMinutes || 0))
+  };
+}
+
+/**
+ * Count unfinished segments on days before today
+ * @param {Array} planData
+ * @param {string} todayKey - Local date key for today
+ * @returns {number}
+ */
+function countOverdueSegments(planData, todayKey = getTodayDateKey()) {
+  if (!Array.isArray(planData)) return 0;
+
+  return planData.reduce((count, dayData) => {
+    if (!dayData.date || dayData.completed || diffDateKeys(dayData.date, todayKey) <= 0) return count;
+    return count + (dayData.videos || []).filter(video => !video.completed).length;
+  }, 0);
+}
+
+/**
+ * Re-plan unfinished segments from today onward and save the result
+ * @param {string} planId
+ * @param {string} strategy - 'extend' (push end date) | 'compress' (keep end date, raise daily time)
+ * @returns {Promise<Object|null>} - Updated plan, or null if it could not be rebalanced
+ */
+async function rebalancePlan(planId, strategy = 'extend') {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === planId);
+  if (!plan) return null;
+
+  const result = rebalancePlanData(plan, strategy);
+  if (!result) return null;
+
+  plan.planData = result.planData;
+  plan.dailyMinutes = isWholeVideoMode(plan.mode) ? null : result.dailyMinutes;
+  plan.weeklyMinutes = result.weeklyMinutes;
+  plan.totalDays = result.planData.length;
+  plan.progress = deriveProgressFromPlanData(result.planData);
+  plan.updatedAt = Date.now();
+
+  await savePlansData(plansData);
+  return plan;
+}
+
+/**
+ * Settings a stored plan was generated with, continuing from today
+ * @param {Object} plan
+ * @param {string} todayKey - Local date key for today
+ * @returns {Object} - { mode, dailyMinutes, playbackSpeed, videosPerDay, deadline, startDate, weeklyMinutes, splitOptions, specialDays }
+ */
+function getPlanSettings(plan, todayKey = getTodayDateKey()) {
+  const startDate = plan.startDate && diffDateKeys(todayKey, plan.startDate) > 0 ? plan.startDate : todayKey;
+  return {
+    mode: plan.mode || 'custom',
+    dailyMinutes: plan.dailyMinutes,
+    playbackSpeed: plan.playbackSpeed || 1,
+    videosPerDay: plan.videosPerDay,
+    deadline: plan.deadline,
+    startDate,
+    weeklyMinutes: plan.weeklyMinutes,
+    splitOptions: plan.splitOptions,
+    specialDays: plan.specialDays
+  };
+}
+
+/**
+ * Re-plan a stored plan in place with the given settings
+ * Returns false (leaving the plan untouched) if nothing could be scheduled
+ */
+function applyRegeneratedPlan(plan, settings) {
+  const result = regeneratePlanData(plan, settings);
+  if (!result) return false;
+
+  const isWholeVideo = isWholeVideoMode(settings.mode);
+  plan.mode = settings.mode;
+  plan.dailyMinutes = isWholeVideo ? null : result.dailyMinutes;
+  plan.playbackSpeed = isWholeVideo ? null : settings.playbackSpeed;
+  plan.videosPerDay = settings.mode === 'video-by-video' ? 1 : (settings.videosPerDay || result.planData[0]?.videos?.length || 0);
+  plan.deadline = settings.mode === 'deadline' ? settings.deadline : null;
+  plan.startDate = result.planData[0]?.date || settings.startDate || null;
+  plan.weeklyMinutes = Array.isArray(settings.weeklyMinutes) ? settings.weeklyMinutes : null;
+  plan.splitOptions = isWholeVideo ? null : (settings.splitOptions || null);
+  plan.specialDays = settings.specialDays || null;
+  plan.planData = result.planData;
+  plan.totalDays = result.planData.length;
+  plan.progress = deriveProgressFromPlanData(result.planData);
+  plan.updatedAt = Date.now();
+  return true;
+}
+
+/**
+ * Regenerate a plan with new settings, keeping its progress
+ * @param {string} planId
+ * @param {Object} settings - { mode, dailyMinutes, playbackSpeed, videosPerDay, deadline, startDate, weeklyMinutes, splitOptions, specialDays }
+ * @returns {Promise<Object|null>} - Updated plan, or null if it could not be regenerated
+ */
+async function regeneratePlan(planId, settings) {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === planId);
+  if (!plan || !applyRegeneratedPlan(plan, settings)) return null;
+
+  await savePlansData(plansData);
+  return plan;
+}
+
+/**
+ * Turn automatic playback speed on YouTube on or off for a plan
+ * Plans created before the setting existed count as enabled
+ */
+async function setPlanAutoApplySpeed(planId, enabled) {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === planId);
+  if (!plan) return null;
+
+  plan.autoApplySpeed = enabled;
+  plan.updatedAt = Date.now();
+  await savePlansData(plansData);
+  return plan;
+}
+
+/**
+ * Change a plan's video order and exclusions, then reflow its days
+ * Progress is kept; excluded videos that were already watched stay in the history.
+ * @param {string} planId
+ * @param {Array} videos - Playlist videos in the new watch order
+ * @param {Array<string>} excludedVideoIds - Ids of videos to skip
+ * @returns {Promise<Object|null>} - Updated plan, or null if it could not be re-planned
+ */
+async function updatePlanVideos(planId, videos, excludedVideoIds) {
+  const plansData = await getPlansData();
+  const plan = plansData.plans.find(p => p.id === planId);
+  if (!plan) return null;
+
+  const previous = { videos: plan.videos, excludedVideoIds: plan.excludedVideoIds };
+  plan.videos = videos;
+  plan.excludedVideoIds = excludedVideoIds;
+
+  if (!applyRegeneratedPlan(plan, getPlanSettings(plan))) {
+    Object.assign(plan, previous);
+    return null;
+  }
+  plan.totalVideos = countPlanVideos(videos, excludedVideoIds, plan.totalVideos);
+
+  await savePlansData(plansData);
+  return plan;
+}
+
 /**
  * Update stored plan data (including progress derived from completion)
  */
@@ -281,6 +498,7 @@ async function updatePlanData(planId, planData) {
 
   plan.planData = planData;
   plan.progress = deriveProgressFromPlanData(planData);
+  plan.updatedAt = Date.now();
 
   await savePlansData(plansData);
   return true;
@@ -298,6 +516,7 @@ async function toggleVideoCompleted(planId, dayIndex, videoIndex, value) {
   if (!dayData.videos || !dayData.videos[videoIndex]) return false;
 
   dayData.videos[videoIndex].completed = value;
+  dayData.videos[videoIndex].completionUpdatedAt = Date.now();
 
   // Check if all videos in this day are completed
   const allCompleted = dayData.videos.every(video => video.completed === true);
@@ -306,22 +525,6 @@ async function toggleVideoCompleted(planId, dayIndex, videoIndex, value) {
   plan.progress = deriveProgressFromPlanData(plan.planData);
   await savePlansData(plansData);
 
-  // Sync to legacy storage key 'planData' as well if this is the active plan
-  if (plansData.activePlanId === planId) {
-    await saveToStorage('planData', {
-      playlistData: {
-        id: plan.playlistUrl || '',
-        url: plan.playlistUrl || '',
-        title: plan.title,
-        videoCount: plan.totalVideos,
-        totalDuration: plan.planData.reduce((sum, day) => sum + (day.totalTime || 0), 0),
-        videos: []
-      },
-      plan: plan.planData,
-      dailyWatchTime: plan.dailyMinutes
-    });
-  }
-
   return true;
 }
 
@@ -334,32 +537,19 @@ async function toggleDayCompleted(planId, dayIndex, value) {
   if (!plan || !plan.planData || !plan.planData[dayIndex]) return false;
 
   const dayData = plan.planData[dayIndex];
+  const now = Date.now();
   dayData.completed = value;
+  dayData.completionUpdatedAt = now;
 
   if (Array.isArray(dayData.videos)) {
     dayData.videos.forEach(video => {
       video.completed = value;
+      video.completionUpdatedAt = now;
     });
   }
 
   plan.progress = deriveProgressFromPlanData(plan.planData);
   await savePlansData(plansData);
 
-  // Sync to legacy storage key 'planData' as well if this is the active plan
-  if (plansData.activePlanId === planId) {
-    await saveToStorage('planData', {
-      playlistData: {
-        id: plan.playlistUrl || '',
-        url: plan.playlistUrl || '',
-        title: plan.title,
-        videoCount: plan.totalVideos,
-        totalDuration: plan.planData.reduce((sum, day) => sum + (day.totalTime || 0), 0),
-        videos: []
-      },
-      plan: plan.planData,
-      dailyWatchTime: plan.dailyMinutes
-    });
-  }
-
   return true;
 }
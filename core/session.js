@@ -0,0 +1,66 @@
+/**
+ * session.js
+ * "Play today's plan" sessions, owned by the background service worker
+ * A session walks through the incomplete segments of the current plan day in order.
+ * State lives in chrome.storage.session so it survives YouTube SPA navigation
+ * and service worker restarts, but not a browser restart.
+ */
+
+const SESSION_STORAGE_KEY = 'planytSession';
+
+/**
+ * Build a session for the plan's current day (first incomplete day)
+ * @returns {object|null} Session or null if the day has nothing left to watch
+ */
+function buildTodaySession(plan, tabId) {
+  if (!plan || !Array.isArray(plan.planData)) return null;
+
+  const dayIndex = deriveProgressFromPlanData(plan.planData).currentDay - 1;
+  const dayData = plan.planData[dayIndex];
+  if (!dayData || dayData.completed) return null;
+
+  const segments = (dayData.videos || [])
+    .map((segment, videoIndex) => ({ segment, videoIndex }))
+    .filter(({ segment }) => !segment.completed)
+    .map(({ segment, videoIndex }) => ({
+      videoIndex,
+      videoId: segment.id,
+      title: segment.title,
+      startSeconds: Math.floor((segment.startTime || 0) * 60),
+      endSeconds: segment.endTime !== null && segment.endTime !== undefined ? Math.round(segment.endTime * 60) : null,
+      minutes: segment.duration || 0
+    }));
+
+  if (segments.length === 0) return null;
+
+  return {
+    planId: plan.id,
+    dayIndex,
+    tabId: tabId || null,
+    playbackSpeed: plan.playbackSpeed || 1,
+    segments,
+    index: 0,
+    startedAt: Date.now()
+  };
+}
+
+/**
+ * Watch URL that opens a session segment at its start
+ */
+function getSessionSegmentUrl(entry) {
+  const url = `https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}`;
+  return entry.startSeconds > 0 ? `${url}&t=${entry.startSeconds}s` : url;
+}
+
+async function getSession() {
+  const result = await chrome.storage.session.get([SESSION_STORAGE_KEY]);
+  return result[SESSION_STORAGE_KEY] || null;
+}
+
+async function saveSession(session) {
+  await chrome.storage.session.set({ [SESSION_STORAGE_KEY]: session });
+}
+
+async function clearSession() {
+  await chrome.storage.session.remove([SESSION_STORAGE_KEY]);
+}
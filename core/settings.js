@@ -0,0 +1,45 @@
+/**
+ * settings.js
+ * Extension-wide preferences shared by the popup and content scripts
+ * Stored in chrome.storage.local under a single key, merged over defaults on read
+ */
+
+const SETTINGS_STORAGE_KEY = 'planytSettings';
+
+const DEFAULT_SETTINGS = {
+  // Mark segments complete from the YouTube player
+  autoCompleteSegments: true,
+  // Share of a segment (0-1) that must be played before it counts as watched
+  completionThreshold: 0.9,
+  // Share plans and progress across devices through chrome.storage.sync
+  syncEnabled: false
+};
+
+/**
+ * Clamp a completion threshold to a sensible range
+ */
+function normalizeCompletionThreshold(value) {
+  const threshold = Number(value);
+  if (isNaN(threshold)) return DEFAULT_SETTINGS.completionThreshold;
+  return Math.min(1, Math.max(0.5, threshold));
+}
+
+/**
+ * Get settings merged over defaults
+ */
+async function getSettings() {
+  const stored = await getFromStorage(SETTINGS_STORAGE_KEY);
+  const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  settings.completionThreshold = normalizeCompletionThreshold(settings.completionThreshold);
+  return settings;
+}
+
+/**
+ * Update one or more settings, returning the merged result
+ */
+async function updateSettings(changes) {
+  const settings = { ...(await getSettings()), ...changes };
+  settings.completionThreshold = normalizeCompletionThreshold(settings.completionThreshold);
+  await saveToStorage(SETTINGS_STORAGE_KEY, settings);
+  return settings;
+}
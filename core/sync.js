@@ -0,0 +1,623 @@
+/**
+ * sync.js
+ * Opt-in cross-device sync of plans through chrome.storage.sync
+ * chrome.storage.local stays the source of truth on each device; sync storage holds a
+ * compact copy of every plan that devices merge into their local plans.
+ *
+ * Sync items per plan (all values are ASCII). Chrome counts an item's size as
+ * key.length + JSON.stringify(value).length, so quotes inside a chunk cost two bytes each:
+ *   p:<planId>:m   meta   { v, updatedAt, layoutChunks, stateChunks } or { v, deleted, deletedAt }
+ *   p:<planId>:l<n> layout chunk — settings, video ids and day/segment layout, no titles
+ *   p:<planId>:s<n> state chunk  — completion bitset and per-segment timestamps
+ * Titles and durations are not synced; a device re-fetches them from the backend
+ * when it builds a plan it hasn't seen yet.
+ *
+ * Conflict policy:
+ *   - Settings and day layout: the copy with the later plan.updatedAt wins
+ *   - Completion: merged per segment, the later completionUpdatedAt wins
+ *   - Deletion: wins over edits made before it, loses to edits made after it
+ */
+
+const SYNC_FORMAT_VERSION = 1;
+const SYNC_ITEM_PREFIX = 'p:';
+const SYNC_STATUS_STORAGE_KEY = 'syncStatus';
+// Plans deleted on this device that other devices haven't been told about yet
+const SYNC_TOMBSTONES_STORAGE_KEY = 'syncDeletedPlans';
+
+/**
+ * Remember a deleted plan so the next sync removes it on other devices
+ */
+async function recordPlanDeletion(planId) {
+  const tombstones = (await getFromStorage(SYNC_TOMBSTONES_STORAGE_KEY)) || {};
+  tombstones[planId] = Date.now();
+  await saveToStorage(SYNC_TOMBSTONES_STORAGE_KEY, tombstones);
+}
+
+/**
+ * Last sync outcome for the popup
+ * @returns {Promise<{lastSyncedAt:number|null, error:string|null}>}
+ */
+async function getSyncStatus() {
+  return (await getFromStorage(SYNC_STATUS_STORAGE_KEY)) || { lastSyncedAt: null, error: null };
+}
+
+// ========================================
+// Encoding
+// ========================================
+
+function encodeBitset(values) {
+  const bytes = new Uint8Array(Math.ceil(values.length / 8));
+  values.forEach((value, index) => {
+    if (value) bytes[index >> 3] |= 1 << (index & 7);
+  });
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function decodeBitset(text, length) {
+  const binary = atob(text || '');
+  const values = [];
+  for (let index = 0; index < length; index++) {
+    const byte = binary.charCodeAt(index >> 3) || 0;
+    values.push((byte & (1 << (index & 7))) !== 0);
+  }
+  return values;
+}
+
+/**
+ * Timestamps as base36 whole seconds; "0" for never
+ */
+function encodeTimestamps(timestamps) {
+  return timestamps.map(ms => Math.floor((ms || 0) / 1000).toString(36)).join(',');
+}
+
+function decodeTimestamps(text) {
+  return (text || '').split(',').map(value => (parseInt(value, 36) || 0) * 1000);
+}
+
+/**
+ * Size of a sync item as Chrome counts it against its quotas
+ */
+function getSyncItemBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+/**
+ * Split text into string items that each fit the per-item quota
+ * @param {string} text
+ * @param {string} keyPrefix - Chunk keys are keyPrefix + index
+ * @returns {Array<string>}
+ */
+function splitIntoChunks(text, keyPrefix) {
+  const chunks = [];
+  let start = 0;
+  let size = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    // Bytes this character adds once the chunk is stored as a JSON string
+    const charBytes = JSON.stringify(text[index]).length - 2;
+    const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - getSyncItemBytes(`${keyPrefix}${chunks.length}`, '');
+    if (size + charBytes > limit) {
+      chunks.push(text.slice(start, index));
+      start = index;
+      size = 0;
+    }
+    size += charBytes;
+  }
+  if (start < text.length || chunks.length === 0) {
+    chunks.push(text.slice(start));
+  }
+  return chunks;
+}
+
+// ========================================
+// Completion units
+// ========================================
+
+/**
+ * Everything that can be ticked in a plan, in plan order
+ * Segments are keyed by video and start second so the key survives re-planning;
+ * days without videos (buffer/review) are ticked as a whole and keyed by day number.
+ * @returns {Array} - [{ key, target, completed, updatedAt }]
+ */
+function getCompletionUnits(planData) {
+  const units = [];
+  const seen = new Map();
+
+  const addUnit = (baseKey, target) => {
+    const count = seen.get(baseKey) || 0;
+    seen.set(baseKey, count + 1);
+    units.push({
+      key: count > 0 ? `${baseKey}#${count}` : baseKey,
+      target,
+      completed: target.completed === true,
+      updatedAt: target.completionUpdatedAt || 0
+    });
+  };
+
+  (planData || []).forEach(dayData => {
+    const videos = dayData.videos || [];
+    if (videos.length === 0) {
+      addUnit(`d${dayData.day}`, dayData);
+      return;
+    }
+    videos.forEach(segment => {
+      addUnit(`${segment.id}@${Math.round((segment.startTime || 0) * 60)}`, segment);
+    });
+  });
+
+  return units;
+}
+
+/**
+ * Most recent change to a plan: its settings/layout or any completion
+ */
+function getPlanLastChange(plan) {
+  const units = getCompletionUnits(plan.planData);
+  return Math.max(plan.updatedAt || plan.createdAt || 0, ...units.map(unit => unit.updatedAt));
+}
+
+/**
+ * Give each unit of planData the newer completion of the local and remote copies
+ * @param {Array} planData - Plan days to update in place
+ * @param {Map} localUnits - key -> unit from this device
+ * @param {Map} remoteUnits - key -> { completed, updatedAt } from sync storage
+ */
+function mergeCompletion(planData, localUnits, remoteUnits) {
+  getCompletionUnits(planData).forEach(unit => {
+    const local = localUnits.get(unit.key);
+    const remote = remoteUnits.get(unit.key);
+    const winner = remote && (!local || remote.updatedAt > local.updatedAt) ? remote : local;
+    if (!winner) return;
+
+    unit.target.completed = winner.completed;
+    if (winner.updatedAt) {
+      unit.target.completionUpdatedAt = winner.updatedAt;
+    }
+  });
+
+  planData.forEach(dayData => {
+    const videos = dayData.videos || [];
+    if (videos.length > 0) {
+      dayData.completed = videos.every(video => video.completed === true);
+    }
+  });
+}
+
+// ========================================
+// Serialization
+// ========================================
+
+/**
+ * Compact, title-free description of a plan's settings and days
+ */
+function buildSyncLayout(plan) {
+  const videoIds = (plan.videos || []).map(video => video.id);
+  const planVideoCount = videoIds.length;
+  const videoRefs = new Map(videoIds.map((id, index) => [id, index]));
+
+  const getVideoRef = (id) => {
+    if (!videoRefs.has(id)) {
+      videoRefs.set(id, videoIds.length);
+      videoIds.push(id);
+    }
+    return videoRefs.get(id);
+  };
+
+  const days = (plan.planData || []).map(dayData => [
+    dayData.day,
+    dayData.date || '',
+    dayData.type || '',
+    Math.round((dayData.totalTime || 0) * 60),
+    (dayData.videos || []).map(segment => [
+      getVideoRef(segment.id),
+      segment.startTime === null || segment.startTime === undefined ? 0 : Math.round(segment.startTime * 60),
+      segment.endTime === null || segment.endTime === undefined ? -1 : Math.round(segment.endTime * 60),
+      Math.round((segment.duration || 0) * 60),
+      segment.isPartial ? 1 : 0
+    ])
+  ]);
+
+  return {
+    playlistUrl: plan.playlistUrl || '',
+    playlistIds: (plan.playlists || []).map(playlist => playlist.id),
+    totalVideos: plan.totalVideos || 0,
+    mode: plan.mode || 'custom',
+    dailyMinutes: plan.dailyMinutes,
+    playbackSpeed: plan.playbackSpeed,
+    autoApplySpeed: plan.autoApplySpeed !== false,
+    videosPerDay: plan.videosPerDay,
+    startDate: plan.startDate || null,
+    weeklyMinutes: plan.weeklyMinutes || null,
+    deadline: plan.deadline || null,
+    splitOptions: plan.splitOptions || null,
+    specialDays: plan.specialDays || null,
+    excludedVideoIds: plan.excludedVideoIds || [],
+    createdAt: plan.createdAt || 0,
+    videoIds,
+    planVideoCount,
+    days
+  };
+}
+
+/**
+ * Sync items describing one plan
+ * @returns {Object} - { [syncKey]: value }
+ */
+function serializePlanForSync(plan) {
+  const units = getCompletionUnits(plan.planData);
+  const prefix = `${SYNC_ITEM_PREFIX}${plan.id}:`;
+  const layoutChunks = splitIntoChunks(JSON.stringify(buildSyncLayout(plan)), `${prefix}l`);
+  const stateChunks = splitIntoChunks(JSON.stringify({
+    completed: encodeBitset(units.map(unit => unit.completed)),
+    stamps: encodeTimestamps(units.map(unit => unit.updatedAt))
+  }), `${prefix}s`);
+
+  const items = {
+    [`${prefix}m`]: {
+      v: SYNC_FORMAT_VERSION,
+      updatedAt: plan.updatedAt || plan.createdAt || 0,
+      layoutChunks: layoutChunks.length,
+      stateChunks: stateChunks.length
+    }
+  };
+  layoutChunks.forEach((chunk, index) => { items[`${prefix}l${index}`] = chunk; });
+  stateChunks.forEach((chunk, index) => { items[`${prefix}s${index}`] = chunk; });
+  return items;
+}
+
+/**
+ * Group sync items into plan records
+ * Plans whose chunks are incomplete (another device is mid-write) or that use a newer
+ * format are left out until a later sync.
+ * @returns {Map} - planId -> { meta, layout, units } or { meta } for deleted plans
+ */
+function parseSyncedPlans(items) {
+  const records = new Map();
+
+  Object.keys(items).forEach(key => {
+    const match = key.match(/^p:(.+):m$/);
+    if (!match) return;
+
+    const planId = match[1];
+    const meta = items[key];
+    if (!meta || meta.v > SYNC_FORMAT_VERSION) return;
+    if (meta.deleted) {
+      records.set(planId, { meta });
+      return;
+    }
+
+    const prefix = `${SYNC_ITEM_PREFIX}${planId}:`;
+    const readChunks = (letter, count) => {
+      const chunks = [];
+      for (let index = 0; index < count; index++) {
+        const chunk = items[`${prefix}${letter}${index}`];
+        if (typeof chunk !== 'string') return null;
+        chunks.push(chunk);
+      }
+      return chunks.join('');
+    };
+
+    try {
+      const layoutText = readChunks('l', meta.layoutChunks);
+      const stateText = readChunks('s', meta.stateChunks);
+      if (layoutText === null || stateText === null) return;
+
+      const layout = JSON.parse(layoutText);
+      const state = JSON.parse(stateText);
+      records.set(planId, { meta, layout, state });
+    } catch (error) {
+      console.warn(`PlanYT: Skipping unreadable synced plan ${planId}`, error);
+    }
+  });
+
+  return records;
+}
+
+// ========================================
+// Building plans from sync records
+// ========================================
+
+/**
+ * Playlist ids to re-fetch a synced plan's videos from
+ */
+function getSyncedPlaylistIds(layout) {
+  if (layout.playlistIds.length > 0) return layout.playlistIds;
+  const playlistId = extractPlaylistId(layout.playlistUrl);
+  return playlistId ? [playlistId] : [];
+}
+
+/**
+ * Videos already known locally for a plan, by id
+ */
+function getKnownVideos(plan) {
+  return new Map(((plan && plan.videos) || []).map(video => [video.id, video]));
+}
+
+/**
+ * Whether a synced layout references videos this device has no details for
+ */
+function needsVideoDetails(layout, localPlan) {
+  const known = getKnownVideos(localPlan);
+  return layout.videoIds.some(id => !known.has(id));
+}
+
+/**
+ * Re-fetch a synced plan's playlist(s) from the backend
+ * @returns {Promise<Object|null>} - Playlist data, or null if it could not be fetched
+ */
+async function fetchSyncedPlaylist(layout) {
+  const playlistIds = getSyncedPlaylistIds(layout);
+  if (playlistIds.length === 0) return null;
+
+  try {
+    return layout.playlistIds.length > 0
+      ? await fetchCombinedPlaylistData(playlistIds)
+      : await fetchPlaylistData(playlistIds[0]);
+  } catch (error) {
+    console.warn('PlanYT: Could not fetch playlist for synced plan', error);
+    return null;
+  }
+}
+
+/**
+ * Rebuild plan days from a synced layout
+ * @param {Object} layout - Synced layout
+ * @param {Map} videos - id -> video with title
+ * @param {Map} localSegments - unit key -> local segment, to keep details like chapter titles
+ */
+function buildPlanDataFromLayout(layout, videos, localSegments) {
+  return layout.days.map(([day, date, type, totalSeconds, segments]) => {
+    const dayData = {
+      day,
+      date: date || null,
+      videos: segments.map(([ref, start, end, duration, isPartial]) => {
+        const id = layout.videoIds[ref];
+        const video = videos.get(id);
+        const segment = {
+          id,
+          title: video ? video.title : id,
+          startTime: start > 0 ? start / 60 : null,
+          endTime: end >= 0 ? end / 60 : null,
+          duration: duration / 60,
+          isPartial: isPartial === 1,
+          completed: false
+        };
+        const local = localSegments.get(`${id}@${start}`);
+        if (local && Array.isArray(local.chapterTitles)) {
+          segment.chapterTitles = local.chapterTitles;
+        }
+        return segment;
+      }),
+      totalTime: totalSeconds / 60,
+      completed: false
+    };
+    if (type) {
+      dayData.type = type;
+    }
+    return dayData;
+  });
+}
+
+/**
+ * Units of a sync record, by key
+ */
+function getRemoteUnits(record) {
+  const keys = getCompletionUnits(buildPlanDataFromLayout(record.layout, new Map(), new Map())).map(unit => unit.key);
+  const completed = decodeBitset(record.state.completed, keys.length);
+  const stamps = decodeTimestamps(record.state.stamps);
+  return new Map(keys.map((key, index) => [key, { completed: completed[index], updatedAt: stamps[index] || 0 }]));
+}
+
+/**
+ * Copy synced settings and layout onto a plan object (new or existing)
+ * @returns {boolean} - false if some video details are still missing
+ */
+function applySyncedLayout(plan, record, playlist) {
+  const { layout } = record;
+  const videos = getKnownVideos(plan);
+  if (playlist) {
+    playlist.videos.forEach(video => videos.set(video.id, video));
+  }
+
+  const planVideoIds = layout.videoIds.slice(0, layout.planVideoCount);
+  if (planVideoIds.some(id => !videos.has(id))) return false;
+
+  const localSegments = new Map(getCompletionUnits(plan.planData).map(unit => [unit.key, unit.target]));
+  // Segment titles can also come from the plan's own days (e.g. videos excluded later)
+  localSegments.forEach(segment => {
+    if (segment.id && !videos.has(segment.id)) {
+      videos.set(segment.id, { id: segment.id, title: segment.title });
+    }
+  });
+
+  plan.planData = buildPlanDataFromLayout(layout, videos, localSegments);
+  plan.videos = planVideoIds.map(id => videos.get(id));
+  if (playlist) {
+    plan.title = playlist.title;
+    plan.playlists = layout.playlistIds.length > 0 ? playlist.playlists : [];
+  }
+  plan.playlistUrl = layout.playlistUrl;
+  plan.totalVideos = layout.totalVideos;
+  plan.mode = layout.mode;
+  plan.dailyMinutes = layout.dailyMinutes;
+  plan.playbackSpeed = layout.playbackSpeed;
+  plan.autoApplySpeed = layout.autoApplySpeed;
+  plan.videosPerDay = layout.videosPerDay;
+  plan.startDate = layout.startDate;
+  plan.weeklyMinutes = layout.weeklyMinutes;
+  plan.deadline = layout.deadline;
+  plan.splitOptions = layout.splitOptions;
+  plan.specialDays = layout.specialDays;
+  plan.excludedVideoIds = layout.excludedVideoIds;
+  plan.createdAt = layout.createdAt;
+  plan.updatedAt = record.meta.updatedAt;
+  plan.totalDays = plan.planData.length;
+  return true;
+}
+
+// ========================================
+// Sync
+// ========================================
+
+function getSyncItems() {
+  return chrome.storage.sync.get(null);
+}
+
+/**
+ * Merge synced plans into local plans
+ * @param {Map} records - From parseSyncedPlans
+ * @param {Map} playlists - planId -> re-fetched playlist data
+ * @returns {Promise<boolean>} - Whether local plans changed
+ */
+async function applySyncedPlans(records, playlists) {
+  const plansData = await getPlansData();
+  const tombstones = (await getFromStorage(SYNC_TOMBSTONES_STORAGE_KEY)) || {};
+  const before = JSON.stringify(plansData);
+  const removedPlanIds = [];
+  let tombstonesChanged = false;
+
+  records.forEach((record, planId) => {
+    const localIndex = plansData.plans.findIndex(plan => plan.id === planId);
+    const local = localIndex === -1 ? null : plansData.plans[localIndex];
+
+    if (record.meta.deleted) {
+      if (local && record.meta.deletedAt >= getPlanLastChange(local)) {
+        plansData.plans.splice(localIndex, 1);
+        removedPlanIds.push(planId);
+      }
+      return;
+    }
+
+    const remoteUnits = getRemoteUnits(record);
+    const remoteLastChange = Math.max(record.meta.updatedAt, ...Array.from(remoteUnits.values(), unit => unit.updatedAt));
+    if (!local && tombstones[planId]) {
+      // Deleted here: keep it deleted unless it was edited elsewhere afterwards
+      if (tombstones[planId] >= remoteLastChange) return;
+      delete tombstones[planId];
+      tombstonesChanged = true;
+    }
+
+    const playlist = playlists.get(planId) || null;
+    // A new plan takes its title and videos from the backend; without them it waits for the next sync
+    if (!local && !playlist) return;
+
+    const plan = local || { id: planId, title: '', playlists: [], planData: [] };
+    const localUnits = new Map(getCompletionUnits(plan.planData).map(unit => [unit.key, unit]));
+    const remoteIsNewer = !local || record.meta.updatedAt > (local.updatedAt || local.createdAt || 0);
+
+    // If video details are still missing, an existing plan keeps its own layout for now
+    if (remoteIsNewer && !applySyncedLayout(plan, record, playlist) && !local) return;
+
+    mergeCompletion(plan.planData, localUnits, remoteUnits);
+    plan.progress = deriveProgressFromPlanData(plan.planData);
+    if (!local) {
+      plansData.plans.push(plan);
+    }
+  });
+
+  if (plansData.activePlanId && !plansData.plans.some(plan => plan.id === plansData.activePlanId)) {
+    plansData.activePlanId = plansData.plans.length > 0 ? plansData.plans[0].id : null;
+  } else if (!plansData.activePlanId && plansData.plans.length > 0) {
+    plansData.activePlanId = plansData.plans[0].id;
+  }
+
+  const changed = JSON.stringify(plansData) !== before;
+  if (changed) {
+    await savePlansData(plansData);
+  }
+  for (const planId of removedPlanIds) {
+    await deleteWatchLedger(planId);
+  }
+  if (tombstonesChanged) {
+    await saveToStorage(SYNC_TOMBSTONES_STORAGE_KEY, tombstones);
+  }
+  return changed;
+}
+
+/**
+ * Write local plans and deletions to sync storage, touching only items that changed
+ */
+async function pushLocalPlans(remoteItems) {
+  const plansData = await getPlansData();
+  const tombstones = (await getFromStorage(SYNC_TOMBSTONES_STORAGE_KEY)) || {};
+  const desired = {};
+
+  plansData.plans.forEach(plan => Object.assign(desired, serializePlanForSync(plan)));
+  Object.keys(tombstones).forEach(planId => {
+    if (plansData.plans.some(plan => plan.id === planId)) return;
+    desired[`${SYNC_ITEM_PREFIX}${planId}:m`] = { v: SYNC_FORMAT_VERSION, deleted: true, deletedAt: tombstones[planId] };
+  });
+
+  // Synced plans this device can't build yet stay untouched
+  const ownedPrefixes = Object.keys(desired)
+    .filter(key => key.endsWith(':m'))
+    .map(key => key.slice(0, -1));
+
+  const toSet = {};
+  Object.keys(desired).forEach(key => {
+    if (JSON.stringify(remoteItems[key]) !== JSON.stringify(desired[key])) {
+      toSet[key] = desired[key];
+    }
+  });
+  const toRemove = Object.keys(remoteItems).filter(key =>
+    !(key in desired) && ownedPrefixes.some(prefix => key.startsWith(prefix))
+  );
+
+  const finalItems = { ...remoteItems, ...toSet };
+  toRemove.forEach(key => { delete finalItems[key]; });
+  const finalKeys = Object.keys(finalItems);
+  const totalBytes = finalKeys.reduce((sum, key) => sum + getSyncItemBytes(key, finalItems[key]), 0);
+  if (totalBytes > chrome.storage.sync.QUOTA_BYTES || finalKeys.length > chrome.storage.sync.MAX_ITEMS) {
+    throw new Error('Plans are too large to sync. Delete finished plans to make room.');
+  }
+
+  if (Object.keys(toSet).length > 0) {
+    await chrome.storage.sync.set(toSet);
+  }
+  if (toRemove.length > 0) {
+    await chrome.storage.sync.remove(toRemove);
+  }
+  if (Object.keys(tombstones).length > 0) {
+    // Keep deletions recorded while this push was running
+    const current = (await getFromStorage(SYNC_TOMBSTONES_STORAGE_KEY)) || {};
+    Object.keys(tombstones).forEach(planId => {
+      if (current[planId] === tombstones[planId]) delete current[planId];
+    });
+    await saveToStorage(SYNC_TOMBSTONES_STORAGE_KEY, current);
+  }
+}
+
+/**
+ * Pull, merge and push plans if sync is turned on
+ * Callers should not run two syncs at once (the background worker queues them).
+ */
+async function syncPlans() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) return;
+
+  try {
+    const remoteItems = await getSyncItems();
+    const records = parseSyncedPlans(remoteItems);
+
+    // Fetch missing titles first so the merge itself is a quick read-modify-write
+    const localPlans = (await getPlansData()).plans;
+    const playlists = new Map();
+    for (const [planId, record] of records) {
+      if (record.meta.deleted) continue;
+      const local = localPlans.find(plan => plan.id === planId) || null;
+      const remoteIsNewer = !local || record.meta.updatedAt > (local.updatedAt || local.createdAt || 0);
+      if (remoteIsNewer && (!local || needsVideoDetails(record.layout, local))) {
+        const playlist = await fetchSyncedPlaylist(record.layout);
+        if (playlist) playlists.set(planId, playlist);
+      }
+    }
+
+    await applySyncedPlans(records, playlists);
+    await pushLocalPlans(remoteItems);
+    await saveToStorage(SYNC_STATUS_STORAGE_KEY, { lastSyncedAt: Date.now(), error: null });
+  } catch (error) {
+    console.error('PlanYT: Sync failed', error);
+    const status = await getSyncStatus();
+    await saveToStorage(SYNC_STATUS_STORAGE_KEY, { ...status, error: error.message || 'Sync failed' });
+  }
+}
@@ -43,6 +43,8 @@ const elements = {
   // Playlist Section
   playlistSection: document.getElementById('playlistSection'),
   playlistUrlInput: document.getElementById('playlistUrlInput'),
+  extraPlaylistList: document.getElementById('extraPlaylistList'),
+  addPlaylistUrlBtn: document.getElementById('addPlaylistUrlBtn'),
   fetchPlaylistBtn: document.getElementById('fetchPlaylistBtn'),
   playlistSectionBackBtn: document.getElementById('playlistSectionBackBtn'),
   
@@ -53,6 +55,21 @@ const elements = {
   mainHeader: document.getElementById('mainHeader'),
   mainFooter: document.getElementById('mainFooter'),
   plansFooter: document.getElementById('plansFooter'),
+
+  // Settings Panel
+  autoCompleteInput: document.getElementById('autoCompleteInput'),
+  syncEnabledInput: document.getElementById('syncEnabledInput'),
+  syncStatusText: document.getElementById('syncStatusText'),
+  completionThresholdInput: document.getElementById('completionThresholdInput'),
+  exportPlansBtn: document.getElementById('exportPlansBtn'),
+  importPlansBtn: document.getElementById('importPlansBtn'),
+  importFileInput: document.getElementById('importFileInput'),
+  importConflictPanel: document.getElementById('importConflictPanel'),
+  importConflictSummary: document.getElementById('importConflictSummary'),
+  importSkipBtn: document.getElementById('importSkipBtn'),
+  importReplaceBtn: document.getElementById('importReplaceBtn'),
+  importKeepBothBtn: document.getElementById('importKeepBothBtn'),
+  backupStatus: document.getElementById('backupStatus'),
   
   // Results Section
   resultsSection: document.getElementById('resultsSection'),
@@ -72,11 +89,43 @@ const elements = {
   plannerInputBackBtn: document.getElementById('plannerInputBackBtn'),
   plannerInputNextBtn: document.getElementById('plannerInputNextBtn'),
   
+  // Video List Editor
+  videoListSection: document.getElementById('videoListSection'),
+  videoListBackBtn: document.getElementById('videoListBackBtn'),
+  videoListNextBtn: document.getElementById('videoListNextBtn'),
+  videoListSummary: document.getElementById('videoListSummary'),
+  videoListEditor: document.getElementById('videoListEditor'),
+  
   // Mode Picker
   modePickerSection: document.getElementById('modePickerSection'),
   modePickerBackBtn: document.getElementById('modePickerBackBtn'),
   modeVideoByVideoBtn: document.getElementById('modeVideoByVideoBtn'),
+  modeVideosPerDayBtn: document.getElementById('modeVideosPerDayBtn'),
   modeCustomBtn: document.getElementById('modeCustomBtn'),
+  modeDeadlineBtn: document.getElementById('modeDeadlineBtn'),
+  
+  // Videos per Day
+  videosPerDaySection: document.getElementById('videosPerDaySection'),
+  videosPerDayBackBtn: document.getElementById('videosPerDayBackBtn'),
+  videosPerDayNextBtn: document.getElementById('videosPerDayNextBtn'),
+  videosPerDayInput: document.getElementById('videosPerDayInput'),
+  videosPerDayHint: document.getElementById('videosPerDayHint'),
+  
+  // Deadline
+  deadlineSection: document.getElementById('deadlineSection'),
+  deadlineBackBtn: document.getElementById('deadlineBackBtn'),
+  deadlineNextBtn: document.getElementById('deadlineNextBtn'),
+  deadlineInput: document.getElementById('deadlineInput'),
+  
+  // Schedule
+  scheduleSection: document.getElementById('scheduleSection'),
+  scheduleBackBtn: document.getElementById('scheduleBackBtn'),
+  scheduleNextBtn: document.getElementById('scheduleNextBtn'),
+  startDateInput: document.getElementById('startDateInput'),
+  weekdayGrid: document.getElementById('weekdayGrid'),
+  weeklyAvailabilityHint: document.getElementById('weeklyAvailabilityHint'),
+  bufferEveryInput: document.getElementById('bufferEveryInput'),
+  weeklyReviewInput: document.getElementById('weeklyReviewInput'),
   
   // Speed Picker
   speedPickerSection: document.getElementById('speedPickerSection'),
@@ -87,6 +136,14 @@ const elements = {
   speedHintText: document.getElementById('speedHintText'),
   generatePlanBtn: document.getElementById('finalGenerateBtn'),
   
+  // Split Options
+  splitOptionsSection: document.getElementById('splitOptionsSection'),
+  splitOptionsBackBtn: document.getElementById('splitOptionsBackBtn'),
+  splitOptionsNextBtn: document.getElementById('splitOptionsNextBtn'),
+  neverSplitInput: document.getElementById('neverSplitInput'),
+  minSegmentInput: document.getElementById('minSegmentInput'),
+  overflowToleranceInput: document.getElementById('overflowToleranceInput'),
+  
   // Confirm Section
   confirmSection: document.getElementById('confirmSection'),
   confirmBackBtn: document.getElementById('confirmBackBtn'),
@@ -95,16 +152,47 @@ const elements = {
   confirmDailyTime: document.getElementById('confirmDailyTime'),
   confirmSpeedRow: document.getElementById('confirmSpeedRow'),
   confirmSpeed: document.getElementById('confirmSpeed'),
+  confirmVideosPerDayRow: document.getElementById('confirmVideosPerDayRow'),
+  confirmVideosPerDay: document.getElementById('confirmVideosPerDay'),
+  confirmSplittingRow: document.getElementById('confirmSplittingRow'),
+  confirmSplitting: document.getElementById('confirmSplitting'),
+  confirmDeadlineRow: document.getElementById('confirmDeadlineRow'),
+  confirmDeadline: document.getElementById('confirmDeadline'),
+  confirmStartDate: document.getElementById('confirmStartDate'),
+  confirmStudyDays: document.getElementById('confirmStudyDays'),
+  confirmSpecialDays: document.getElementById('confirmSpecialDays'),
   
   // Plan Display
   planSection: document.getElementById('planSection'),
   planContainer: document.getElementById('planContainer'),
-  resetBtn: document.getElementById('resetBtn')
+  deadlineBanner: document.getElementById('deadlineBanner'),
+  rebalancePanel: document.getElementById('rebalancePanel'),
+  rebalanceSummary: document.getElementById('rebalanceSummary'),
+  rebalanceExtendBtn: document.getElementById('rebalanceExtendBtn'),
+  rebalanceCompressBtn: document.getElementById('rebalanceCompressBtn'),
+  resetBtn: document.getElementById('resetBtn'),
+  editPlanBtn: document.getElementById('editPlanBtn'),
+  editVideosBtn: document.getElementById('editVideosBtn'),
+  playTodayBtn: document.getElementById('playTodayBtn'),
+  speedPanel: document.getElementById('speedPanel'),
+  autoApplySpeedInput: document.getElementById('autoApplySpeedInput'),
+  autoApplySpeedLabel: document.getElementById('autoApplySpeedLabel'),
+  speedUsageRow: document.getElementById('speedUsageRow'),
+  speedUsageText: document.getElementById('speedUsageText'),
+  adjustSpeedBtn: document.getElementById('adjustSpeedBtn'),
+  calendarStartInput: document.getElementById('calendarStartInput'),
+  exportIcsBtn: document.getElementById('exportIcsBtn'),
+  exportMarkdownBtn: document.getElementById('exportMarkdownBtn'),
+  exportCsvBtn: document.getElementById('exportCsvBtn')
 };
 
 // ========================================
 // State Management
 // ========================================
+const DEFAULT_SPLIT_OPTIONS = { minSegmentMinutes: 0, overflowTolerance: 0, neverSplit: false };
+const DEFAULT_VIDEOS_PER_DAY = 3;
+const DEFAULT_SPECIAL_DAYS = { bufferEveryDays: 0, weeklyReview: false };
+
 let appState = {
   playlistData: null,
   videos: [],
@@ -112,12 +200,26 @@ let appState = {
   currentPlanId: null,
   dailyWatchTime: 0,
   isAddingNewPlan: false,
+  editingPlanId: null,
+  isEditingVideos: false,
+  excludedVideoIds: [],
+  draggedVideoIndex: null,
   isFetching: false,
   isUpdatingCompletion: false,
+  autoApplySpeed: true,
+  pendingImport: null,
+  watchLedger: {},
+  watchLedgerPlanId: null,
   plansCache: [],
   wizardStep: 'enter-url',
   mode: 'custom',
-  playbackSpeed: 1.0
+  playbackSpeed: 1.0,
+  startDate: null,
+  weeklyMinutes: null,
+  deadline: null,
+  videosPerDay: DEFAULT_VIDEOS_PER_DAY,
+  splitOptions: { ...DEFAULT_SPLIT_OPTIONS },
+  specialDays: { ...DEFAULT_SPECIAL_DAYS }
 };
 
 // ========================================
@@ -127,6 +229,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   console.log('Extension loaded');
   attachEventListeners();
 
+  await requestMigrations();
+
+  await loadSettingsPanel();
+
   // Check for a pending action placed by the content-script/widget
   const pending = await getPendingPopupAction();
 
@@ -142,6 +248,18 @@ document.addEventListener('DOMContentLoaded', async () => {
   renderUI();
 });
 
+// Ask the background worker to migrate storage before anything reads it
+function requestMigrations() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'RUN_MIGRATIONS' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error migrating storage:', chrome.runtime.lastError || response);
+      }
+      resolve();
+    });
+  });
+}
+
 // Retrieve and consume any pending popup action from storage
 function getPendingPopupAction() {
   return new Promise((resolve) => {
@@ -170,17 +288,13 @@ async function handlePendingPopupAction(pending) {
   try {
     if (pending.type === 'openPlan') {
       const playlistId = pending.playlistId || null;
-      if (!playlistId) return await restoreActivePlan();
-
-      // Try to find a matching saved plan by playlistId
-      const match = (appState.plansCache || []).find(p => {
-        try {
-          const pid = extractPlaylistId(p.playlistUrl || p.playlistUrl || '');
-          return pid === playlistId;
-        } catch (e) {
-          return false;
-        }
-      });
+      const planId = pending.planId || null;
+      if (!playlistId && !planId) return await restoreActivePlan();
+
+      // Prefer the exact plan the widget showed, then any plan for the playlist (including combined plans)
+      const plans = appState.plansCache || [];
+      const match = plans.find(p => p.id === planId) ||
+        (playlistId ? plans.find(p => getPlanPlaylistIds(p).includes(playlistId)) : null);
 
       if (match) {
         // Select and render the matched plan without showing previous plan first
@@ -240,15 +354,49 @@ function attachEventListeners() {
   // Add New Plan
   elements.addPlanBtn.addEventListener('click', handleAddNewPlan);
 
+  // Settings
+  elements.autoCompleteInput.addEventListener('change', handleSettingsChange);
+  elements.syncEnabledInput.addEventListener('change', handleSettingsChange);
+  elements.completionThresholdInput.addEventListener('change', handleSettingsChange);
+
+  // Backup
+  elements.exportPlansBtn.addEventListener('click', handleExportPlans);
+  elements.importPlansBtn.addEventListener('click', () => elements.importFileInput.click());
+  elements.importFileInput.addEventListener('change', handleImportFile);
+  elements.importSkipBtn.addEventListener('click', () => finishImport('skip'));
+  elements.importReplaceBtn.addEventListener('click', () => finishImport('replace'));
+  elements.importKeepBothBtn.addEventListener('click', () => finishImport('keep-both'));
+
   // Fetch Playlist
   elements.fetchPlaylistBtn.addEventListener('click', handleFetchPlaylist);
+  elements.addPlaylistUrlBtn.addEventListener('click', () => addExtraPlaylistInput().focus());
   
-  // Generate Plan
-  elements.generatePlanBtn.addEventListener('click', handleGeneratePlan);
+  // Generate Plan (or save new settings when editing a plan)
+  elements.generatePlanBtn.addEventListener('click', () => {
+    if (appState.editingPlanId) {
+      handleSavePlanSettings();
+    } else {
+      handleGeneratePlan();
+    }
+  });
   
   // Reset
   elements.resetBtn.addEventListener('click', handleReset);
 
+  // Edit Plan Settings / Videos
+  elements.editPlanBtn.addEventListener('click', handleEditPlanSettings);
+  elements.editVideosBtn.addEventListener('click', handleEditPlanVideos);
+  elements.playTodayBtn.addEventListener('click', handlePlayToday);
+  elements.autoApplySpeedInput.addEventListener('change', handleAutoApplySpeedChange);
+  elements.adjustSpeedBtn.addEventListener('click', handleAdjustSpeed);
+  elements.exportIcsBtn.addEventListener('click', handleExportIcs);
+  elements.exportMarkdownBtn.addEventListener('click', () => handleExportChecklist('md'));
+  elements.exportCsvBtn.addEventListener('click', () => handleExportChecklist('csv'));
+
+  // Rebalance buttons
+  elements.rebalanceExtendBtn.addEventListener('click', () => handleRebalance('extend'));
+  elements.rebalanceCompressBtn.addEventListener('click', () => handleRebalance('compress'));
+
   // Playlist Section Back Button
   elements.playlistSectionBackBtn.addEventListener('click', () => {
     appState.isAddingNewPlan = false;
@@ -257,14 +405,47 @@ function attachEventListeners() {
 
   // Mode Picker Back
   elements.modePickerBackBtn.addEventListener('click', () => {
+    if (appState.editingPlanId) {
+      exitPlanEditing();
+      return;
+    }
+    appState.wizardStep = 'video-list';
+    renderUI();
+  });
+
+  // Video List Back & Next
+  elements.videoListBackBtn.addEventListener('click', () => {
+    if (appState.isEditingVideos) {
+      exitPlanEditing();
+      return;
+    }
     appState.wizardStep = 'enter-url';
     renderUI();
   });
 
+  elements.videoListNextBtn.addEventListener('click', () => {
+    if (getSelectedVideos().length === 0) {
+      showError('Please keep at least one video in the plan');
+      return;
+    }
+    if (appState.isEditingVideos) {
+      handleSavePlanVideos();
+      return;
+    }
+    appState.wizardStep = 'mode-picker';
+    renderUI();
+  });
+
   // Mode Picker Cards Selection
   elements.modeVideoByVideoBtn.addEventListener('click', () => {
     appState.mode = 'video-by-video';
-    appState.wizardStep = 'confirm';
+    appState.wizardStep = 'schedule';
+    renderUI();
+  });
+
+  elements.modeVideosPerDayBtn.addEventListener('click', () => {
+    appState.mode = 'videos-per-day';
+    appState.wizardStep = 'videos-per-day';
     renderUI();
   });
 
@@ -274,6 +455,52 @@ function attachEventListeners() {
     renderUI();
   });
 
+  elements.modeDeadlineBtn.addEventListener('click', () => {
+    appState.mode = 'deadline';
+    appState.wizardStep = 'deadline';
+    if (!elements.deadlineInput.value && appState.deadline) {
+      elements.deadlineInput.value = appState.deadline;
+    }
+    elements.deadlineInput.min = getTodayDateKey();
+    renderUI();
+  });
+
+  // Videos per Day Back & Next
+  elements.videosPerDayBackBtn.addEventListener('click', () => {
+    appState.wizardStep = 'mode-picker';
+    renderUI();
+  });
+
+  elements.videosPerDayInput.addEventListener('input', updateVideosPerDayHint);
+
+  elements.videosPerDayNextBtn.addEventListener('click', () => {
+    const videosPerDay = parseInt(elements.videosPerDayInput.value);
+    if (!videosPerDay || videosPerDay <= 0) {
+      showError('Please enter how many videos to watch per day');
+      return;
+    }
+    appState.videosPerDay = videosPerDay;
+    appState.wizardStep = 'schedule';
+    renderUI();
+  });
+
+  // Deadline Back & Next
+  elements.deadlineBackBtn.addEventListener('click', () => {
+    appState.wizardStep = 'mode-picker';
+    renderUI();
+  });
+
+  elements.deadlineNextBtn.addEventListener('click', () => {
+    const deadline = elements.deadlineInput.value;
+    if (!parseDateKey(deadline) || diffDateKeys(getTodayDateKey(), deadline) < 0) {
+      showError('Please choose a finish date from today onward');
+      return;
+    }
+    appState.deadline = deadline;
+    appState.wizardStep = 'schedule';
+    renderUI();
+  });
+
   // Planner Input Back & Next
   elements.plannerInputBackBtn.addEventListener('click', () => {
     appState.wizardStep = 'mode-picker';
@@ -287,7 +514,56 @@ function attachEventListeners() {
       return;
     }
     appState.dailyWatchTime = dailyTime;
-    appState.wizardStep = 'speed-picker';
+    appState.wizardStep = 'schedule';
+    renderUI();
+  });
+
+  // Schedule Back & Next
+  elements.scheduleBackBtn.addEventListener('click', () => {
+    if (appState.mode === 'video-by-video') {
+      appState.wizardStep = 'mode-picker';
+    } else if (appState.mode === 'videos-per-day') {
+      appState.wizardStep = 'videos-per-day';
+    } else if (appState.mode === 'deadline') {
+      appState.wizardStep = 'deadline';
+    } else {
+      appState.wizardStep = 'daily-time';
+    }
+    renderUI();
+  });
+
+  elements.scheduleNextBtn.addEventListener('click', () => {
+    const startDate = elements.startDateInput.value;
+    if (!parseDateKey(startDate)) {
+      showError('Please choose a valid start date');
+      return;
+    }
+
+    const weeklyMinutes = readWeeklyMinutesFromGrid();
+    const dailyDefault = appState.mode === 'custom' ? appState.dailyWatchTime : 1;
+    if (!createStudyCalendar(startDate, weeklyMinutes, dailyDefault)) {
+      showError('Please keep at least one study day in your week');
+      return;
+    }
+
+    if (appState.mode === 'deadline' && countStudyDays(startDate, appState.deadline, weeklyMinutes) === 0) {
+      showError('There are no study days between the start date and your finish date');
+      return;
+    }
+
+    const bufferEveryDays = elements.bufferEveryInput.value === '' ? 0 : parseInt(elements.bufferEveryInput.value);
+    if (isNaN(bufferEveryDays) || bufferEveryDays < 0) {
+      showError('Please enter a valid number of days between buffer days');
+      return;
+    }
+    appState.specialDays = {
+      bufferEveryDays,
+      weeklyReview: elements.weeklyReviewInput.checked
+    };
+
+    appState.startDate = startDate;
+    appState.weeklyMinutes = weeklyMinutes;
+    appState.wizardStep = isWholeVideoMode(appState.mode) ? 'confirm' : 'speed-picker';
     renderUI();
   });
 
@@ -296,22 +572,53 @@ function attachEventListeners() {
     if (appState.mode === 'video-by-video') {
       appState.wizardStep = 'mode-picker';
     } else {
-      appState.wizardStep = 'daily-time';
+      appState.wizardStep = 'schedule';
     }
     renderUI();
   });
 
   elements.speedPickerNextBtn.addEventListener('click', () => {
+    appState.wizardStep = 'split-options';
+    renderUI();
+  });
+
+  // Split Options Back & Next
+  elements.splitOptionsBackBtn.addEventListener('click', () => {
+    appState.wizardStep = 'speed-picker';
+    renderUI();
+  });
+
+  elements.neverSplitInput.addEventListener('change', () => {
+    elements.minSegmentInput.disabled = elements.neverSplitInput.checked;
+  });
+
+  elements.splitOptionsNextBtn.addEventListener('click', () => {
+    const minSegmentMinutes = elements.minSegmentInput.value === '' ? 0 : parseInt(elements.minSegmentInput.value);
+    const overflowPercent = elements.overflowToleranceInput.value === '' ? 0 : parseInt(elements.overflowToleranceInput.value);
+    if (isNaN(minSegmentMinutes) || minSegmentMinutes < 0) {
+      showError('Please enter a valid minimum segment length');
+      return;
+    }
+    if (isNaN(overflowPercent) || overflowPercent < 0 || overflowPercent > 100) {
+      showError('Please enter an overflow tolerance between 0 and 100%');
+      return;
+    }
+
+    appState.splitOptions = {
+      minSegmentMinutes,
+      overflowTolerance: overflowPercent / 100,
+      neverSplit: elements.neverSplitInput.checked
+    };
     appState.wizardStep = 'confirm';
     renderUI();
   });
 
   // Confirm Back
   elements.confirmBackBtn.addEventListener('click', () => {
-    if (appState.mode === 'video-by-video') {
-      appState.wizardStep = 'mode-picker';
+    if (isWholeVideoMode(appState.mode)) {
+      appState.wizardStep = 'schedule';
     } else {
-      appState.wizardStep = 'speed-picker';
+      appState.wizardStep = 'split-options';
     }
     renderUI();
   });
@@ -334,6 +641,115 @@ function attachEventListeners() {
       updateSpeedFromSlider(idx);
     });
   });
+
+  renderWeekdayGrid();
+}
+
+// Display order for the weekly availability grid (Monday first, Date.getDay() indices)
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function renderWeekdayGrid() {
+  if (!elements.weekdayGrid) return;
+  elements.weekdayGrid.innerHTML = '';
+
+  WEEKDAY_ORDER.forEach(weekday => {
+    const cell = document.createElement('div');
+    cell.className = 'weekday-cell';
+
+    const toggleId = `weekday-${weekday}-toggle`;
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.id = toggleId;
+    toggle.className = 'weekday-toggle';
+    toggle.dataset.weekday = weekday;
+    toggle.checked = true;
+
+    const label = document.createElement('label');
+    label.htmlFor = toggleId;
+    label.textContent = WEEKDAY_LABELS[weekday];
+
+    const minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.min = '1';
+    minutesInput.className = 'weekday-minutes';
+    minutesInput.dataset.weekday = weekday;
+    minutesInput.setAttribute('aria-label', `${WEEKDAY_LABELS[weekday]} minutes`);
+
+    toggle.addEventListener('change', () => {
+      minutesInput.disabled = !toggle.checked;
+    });
+
+    cell.appendChild(toggle);
+    cell.appendChild(label);
+    cell.appendChild(minutesInput);
+    elements.weekdayGrid.appendChild(cell);
+  });
+}
+
+// Load startDate/weeklyMinutes from state into the schedule step
+function syncScheduleInputs() {
+  elements.startDateInput.value = appState.startDate || getTodayDateKey();
+  elements.bufferEveryInput.value = appState.specialDays.bufferEveryDays || '';
+  elements.weeklyReviewInput.checked = !!appState.specialDays.weeklyReview;
+
+  const usesDailyBudget = appState.mode === 'custom';
+  elements.weekdayGrid.querySelectorAll('.weekday-cell').forEach(cell => {
+    const toggle = cell.querySelector('.weekday-toggle');
+    const minutesInput = cell.querySelector('.weekday-minutes');
+    const weekday = parseInt(toggle.dataset.weekday);
+    const stored = Array.isArray(appState.weeklyMinutes) ? appState.weeklyMinutes[weekday] : null;
+
+    toggle.checked = stored !== 0;
+    minutesInput.value = stored > 0 ? stored : '';
+    minutesInput.placeholder = appState.dailyWatchTime ? String(appState.dailyWatchTime) : '';
+    minutesInput.disabled = !toggle.checked;
+    minutesInput.classList.toggle('hidden', !usesDailyBudget);
+  });
+
+  if (appState.mode === 'video-by-video') {
+    elements.weeklyAvailabilityHint.textContent = 'Untick a day to rest. One video is scheduled on each study day.';
+  } else if (appState.mode === 'videos-per-day') {
+    elements.weeklyAvailabilityHint.textContent = `Untick a day to rest. ${appState.videosPerDay} videos are scheduled on each study day.`;
+  } else if (appState.mode === 'deadline') {
+    elements.weeklyAvailabilityHint.textContent = 'Untick a day to rest. Daily time is spread over your study days.';
+  } else {
+    elements.weeklyAvailabilityHint.textContent = 'Untick a day to rest. Leave minutes empty to use your daily watch time.';
+  }
+}
+
+// Read the weekday grid into a weeklyMinutes array (null when every day uses the default)
+function readWeeklyMinutesFromGrid() {
+  const weeklyMinutes = [null, null, null, null, null, null, null];
+  const usesDailyBudget = appState.mode === 'custom';
+
+  elements.weekdayGrid.querySelectorAll('.weekday-cell').forEach(cell => {
+    const toggle = cell.querySelector('.weekday-toggle');
+    const minutesInput = cell.querySelector('.weekday-minutes');
+    const weekday = parseInt(toggle.dataset.weekday);
+
+    if (!toggle.checked) {
+      weeklyMinutes[weekday] = 0;
+    } else if (usesDailyBudget) {
+      const minutes = parseInt(minutesInput.value);
+      weeklyMinutes[weekday] = minutes > 0 ? minutes : null;
+    }
+  });
+
+  return weeklyMinutes.every(value => value === null) ? null : weeklyMinutes;
+}
+
+// Human-readable summary of a weekly availability map
+function describeWeeklyMinutes(weeklyMinutes) {
+  if (!Array.isArray(weeklyMinutes)) return 'Every day';
+
+  const studyDays = WEEKDAY_ORDER
+    .filter(weekday => weeklyMinutes[weekday] !== 0)
+    .map(weekday => {
+      const minutes = weeklyMinutes[weekday];
+      return minutes > 0 ? `${WEEKDAY_LABELS[weekday]} ${formatMinutes(minutes)}` : WEEKDAY_LABELS[weekday];
+    });
+
+  return studyDays.length === 7 && weeklyMinutes.every(value => !(value > 0)) ? 'Every day' : studyDays.join(', ');
 }
 
 const SPEED_VALUES = [0.25, 0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0];
@@ -368,6 +784,11 @@ function updateSpeedHint() {
     const dailyMinutes = appState.dailyWatchTime || 30;
     const effective = Math.round(dailyMinutes * speed);
     elements.speedHintText.textContent = `Your ${dailyMinutes} min/day becomes effectively ~${effective} min of content`;
+  } else if (appState.mode === 'deadline') {
+    const required = calculateWizardDeadlineMinutes();
+    elements.speedHintText.textContent = required
+      ? `At ${speed}× you need ~${required} min/day to finish by ${formatDateKey(appState.deadline)}`
+      : `Your plan duration will adjust according to speed.`;
   } else {
     // Video-by-Video mode
     if (appState.playlistData && appState.playlistData.totalDuration && appState.playlistData.videoCount) {
@@ -381,68 +802,114 @@ function updateSpeedHint() {
   }
 }
 
+// Wizard step -> section shown for that step (all others are hidden)
+function getWizardStepSections() {
+  return {
+    'enter-url': elements.playlistSection,
+    'video-list': elements.videoListSection,
+    'mode-picker': elements.modePickerSection,
+    'videos-per-day': elements.videosPerDaySection,
+    'daily-time': elements.plannerInputSection,
+    'deadline': elements.deadlineSection,
+    'schedule': elements.scheduleSection,
+    'speed-picker': elements.speedPickerSection,
+    'split-options': elements.splitOptionsSection,
+    'confirm': elements.confirmSection
+  };
+}
+
+function getModeLabel(mode) {
+  if (mode === 'video-by-video') return 'Video by Video';
+  if (mode === 'videos-per-day') return 'Videos per Day';
+  if (mode === 'deadline') return 'Finish by Date';
+  return 'Custom Schedule';
+}
+
 function renderUI() {
   hideSuccessScreen();
 
+  const stepSections = getWizardStepSections();
+
   if (appState.isAddingNewPlan) {
     hideSection(elements.plansSection);
     hideSection(elements.plansFooter);
     hideSection(elements.planSection);
     hideSection(elements.progressSection);
-    hideSection(elements.confirmSection);
 
     if (appState.playlistData) {
       displayPlaylistSummary(appState.playlistData);
     }
 
+    Object.entries(stepSections).forEach(([step, section]) => {
+      if (step === appState.wizardStep) {
+        showSection(section);
+      } else {
+        hideSection(section);
+      }
+    });
+
     if (appState.wizardStep === 'enter-url') {
-      showSection(elements.playlistSection);
       hideSection(elements.resultsSection);
-      hideSection(elements.modePickerSection);
-      hideSection(elements.plannerInputSection);
-      hideSection(elements.speedPickerSection);
-    } else if (appState.wizardStep === 'mode-picker') {
-      hideSection(elements.playlistSection);
-      showSection(elements.resultsSection);
-      showSection(elements.modePickerSection);
-      hideSection(elements.plannerInputSection);
-      hideSection(elements.speedPickerSection);
-    } else if (appState.wizardStep === 'daily-time') {
-      hideSection(elements.playlistSection);
+    } else {
       showSection(elements.resultsSection);
-      hideSection(elements.modePickerSection);
-      showSection(elements.plannerInputSection);
-      hideSection(elements.speedPickerSection);
+    }
+
+    if (appState.wizardStep === 'video-list') {
+      elements.videoListNextBtn.textContent = appState.isEditingVideos
+        ? (chrome.i18n.getMessage('updatePlan') || 'Update Plan')
+        : (chrome.i18n.getMessage('next') || 'Next');
+      renderVideoListEditor();
+    } else if (appState.wizardStep === 'videos-per-day') {
+      elements.videosPerDayInput.value = appState.videosPerDay || DEFAULT_VIDEOS_PER_DAY;
+      updateVideosPerDayHint();
+    } else if (appState.wizardStep === 'schedule') {
+      syncScheduleInputs();
     } else if (appState.wizardStep === 'speed-picker') {
-      hideSection(elements.playlistSection);
-      showSection(elements.resultsSection);
-      hideSection(elements.modePickerSection);
-      hideSection(elements.plannerInputSection);
-      showSection(elements.speedPickerSection);
-      
       const sliderVal = SPEED_VALUES.indexOf(appState.playbackSpeed);
       const val = sliderVal >= 0 ? sliderVal : 3;
       if (elements.speedSlider) {
         elements.speedSlider.value = val;
       }
       updateSpeedFromSlider(val);
+    } else if (appState.wizardStep === 'split-options') {
+      syncSplitOptionInputs();
     } else if (appState.wizardStep === 'confirm') {
-      hideSection(elements.playlistSection);
-      showSection(elements.resultsSection);
-      hideSection(elements.modePickerSection);
-      hideSection(elements.plannerInputSection);
-      hideSection(elements.speedPickerSection);
-      showSection(elements.confirmSection);
+      if (appState.mode === 'deadline') {
+        appState.dailyWatchTime = calculateWizardDeadlineMinutes() || 0;
+      }
 
-      elements.confirmMode.textContent = appState.mode === 'video-by-video' ? 'Video by Video' : 'Custom Schedule';
-      if (appState.mode === 'video-by-video') {
+      elements.generatePlanBtn.textContent = appState.editingPlanId
+        ? (chrome.i18n.getMessage('updatePlan') || 'Update Plan')
+        : (chrome.i18n.getMessage('generatePlan') || 'Generate Plan');
+      elements.confirmMode.textContent = getModeLabel(appState.mode);
+      elements.confirmStartDate.textContent = formatDateKey(appState.startDate) || '-';
+      elements.confirmStudyDays.textContent = describeWeeklyMinutes(appState.weeklyMinutes);
+      elements.confirmSpecialDays.textContent = describeSpecialDays(appState.specialDays);
+      if (appState.mode === 'videos-per-day') {
+        showSection(elements.confirmVideosPerDayRow);
+        elements.confirmVideosPerDay.textContent = describeVideosPerDay(appState.videosPerDay);
+      } else {
+        hideSection(elements.confirmVideosPerDayRow);
+      }
+
+      if (isWholeVideoMode(appState.mode)) {
         hideSection(elements.confirmDailyTimeRow);
         hideSection(elements.confirmSpeedRow);
+        hideSection(elements.confirmSplittingRow);
       } else {
         showSection(elements.confirmDailyTimeRow);
         showSection(elements.confirmSpeedRow);
+        showSection(elements.confirmSplittingRow);
         elements.confirmDailyTime.textContent = formatMinutes(appState.dailyWatchTime);
         elements.confirmSpeed.textContent = appState.playbackSpeed + 'x';
+        elements.confirmSplitting.textContent = describeSplitOptions(appState.splitOptions);
+      }
+
+      if (appState.mode === 'deadline') {
+        showSection(elements.confirmDeadlineRow);
+        elements.confirmDeadline.textContent = formatDateKey(appState.deadline) || '-';
+      } else {
+        hideSection(elements.confirmDeadlineRow);
       }
     }
     return;
@@ -450,17 +917,16 @@ function renderUI() {
 
   showSection(elements.plansSection);
   showSection(elements.plansFooter);
-  hideSection(elements.playlistSection);
-  hideSection(elements.modePickerSection);
-  hideSection(elements.plannerInputSection);
-  hideSection(elements.speedPickerSection);
-  hideSection(elements.confirmSection);
+  Object.values(stepSections).forEach(hideSection);
 
   if (appState.currentPlanId && appState.plan && appState.plan.length > 0) {
     displayPlaylistSummary(appState.playlistData);
     renderPlan(appState.plan);
     showSection(elements.planSection);
     updateProgressBar(appState.currentPlanId);
+    renderDeadlineBanner();
+    renderRebalancePanel();
+    renderSpeedPanel();
   } else {
     hideSection(elements.resultsSection);
     hideSection(elements.progressSection);
@@ -468,6 +934,401 @@ function renderUI() {
   }
 }
 
+// Playlist videos in the chosen order, without excluded ones
+function getSelectedVideos() {
+  if (!appState.playlistData) return [];
+  return selectPlanVideos(appState.playlistData.videos, appState.excludedVideoIds);
+}
+
+// Render the include/exclude + drag-to-reorder list for the current playlist
+function renderVideoListEditor() {
+  const videos = appState.playlistData ? appState.playlistData.videos : [];
+  const excluded = new Set(appState.excludedVideoIds);
+  elements.videoListEditor.innerHTML = '';
+
+  videos.forEach((video, index) => {
+    const row = document.createElement('li');
+    row.className = `video-editor-item ${excluded.has(video.id) ? 'excluded' : ''}`;
+    row.draggable = true;
+
+    const handle = document.createElement('span');
+    handle.className = 'video-editor-handle';
+    handle.textContent = '⋮⋮';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !excluded.has(video.id);
+    checkbox.setAttribute('aria-label', `Include ${video.title}`);
+    checkbox.addEventListener('change', () => {
+      setVideoExcluded(video.id, !checkbox.checked);
+      row.classList.toggle('excluded', !checkbox.checked);
+    });
+
+    const title = document.createElement('span');
+    title.className = 'video-editor-title';
+    title.textContent = video.title;
+    title.title = video.title;
+
+    const duration = document.createElement('span');
+    duration.className = 'video-editor-duration';
+    duration.textContent = formatMinutes(video.durationMinutes);
+
+    row.addEventListener('dragstart', (event) => {
+      appState.draggedVideoIndex = index;
+      event.dataTransfer.effectAllowed = 'move';
+      row.classList.add('dragging');
+    });
+    row.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', () => {
+      row.classList.remove('drop-target');
+    });
+    row.addEventListener('drop', (event) => {
+      event.preventDefault();
+      moveVideoInList(appState.draggedVideoIndex, index);
+    });
+    row.addEventListener('dragend', () => {
+      appState.draggedVideoIndex = null;
+      row.classList.remove('dragging');
+    });
+
+    row.appendChild(handle);
+    row.appendChild(checkbox);
+    row.appendChild(title);
+    row.appendChild(duration);
+    elements.videoListEditor.appendChild(row);
+  });
+
+  updateVideoListSummary();
+}
+
+function setVideoExcluded(videoId, isExcluded) {
+  const excluded = appState.excludedVideoIds.filter(id => id !== videoId);
+  if (isExcluded) {
+    excluded.push(videoId);
+  }
+  appState.excludedVideoIds = excluded;
+  updateVideoListSummary();
+}
+
+function moveVideoInList(fromIndex, toIndex) {
+  const videos = appState.playlistData.videos;
+  if (fromIndex === null || fromIndex === toIndex || !videos[fromIndex]) return;
+
+  const [video] = videos.splice(fromIndex, 1);
+  videos.splice(toIndex, 0, video);
+  renderVideoListEditor();
+}
+
+function updateVideoListSummary() {
+  const total = appState.playlistData ? appState.playlistData.videos.length : 0;
+  const selected = getSelectedVideos();
+  const duration = selected.reduce((sum, video) => sum + video.durationMinutes, 0);
+  elements.videoListSummary.textContent = `${selected.length} of ${total} videos · ${formatMinutes(duration)}`;
+}
+
+// Human-readable summary of a videos-per-day setting for the current playlist
+// Example: "3 videos · 12 days · ~45m/day"
+function describeVideosPerDay(videosPerDay) {
+  const parts = [`${videosPerDay} video${videosPerDay === 1 ? '' : 's'}`];
+
+  const videos = getSelectedVideos();
+  if (videos.length > 0) {
+    const days = Math.ceil(videos.length / videosPerDay);
+    const totalDuration = videos.reduce((sum, video) => sum + video.durationMinutes, 0);
+    parts.push(`${days} day${days === 1 ? '' : 's'}`);
+    parts.push(`~${formatMinutes(totalDuration / days)}/day`);
+  }
+
+  return parts.join(' · ');
+}
+
+function updateVideosPerDayHint() {
+  const videosPerDay = parseInt(elements.videosPerDayInput.value);
+  elements.videosPerDayHint.textContent = videosPerDay > 0 ? describeVideosPerDay(videosPerDay) : '';
+}
+
+// Load split options from state into the splitting step
+function syncSplitOptionInputs() {
+  const options = appState.splitOptions || DEFAULT_SPLIT_OPTIONS;
+  elements.neverSplitInput.checked = !!options.neverSplit;
+  elements.minSegmentInput.value = options.minSegmentMinutes || '';
+  elements.minSegmentInput.disabled = !!options.neverSplit;
+  elements.overflowToleranceInput.value = options.overflowTolerance ? Math.round(options.overflowTolerance * 100) : '';
+}
+
+// Human-readable summary of the splitting options
+function describeSplitOptions(options) {
+  if (!options) return 'Split anywhere';
+
+  const parts = [];
+  if (options.neverSplit) {
+    parts.push('Whole videos only');
+  } else if (options.minSegmentMinutes > 0) {
+    parts.push(`Segments ≥ ${formatMinutes(options.minSegmentMinutes)}`);
+  }
+  if (options.overflowTolerance > 0) {
+    parts.push(`up to ${Math.round(options.overflowTolerance * 100)}% over`);
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'Split anywhere';
+}
+
+// Human-readable summary of buffer/review day options
+function describeSpecialDays(specialDays) {
+  const parts = [];
+  if (specialDays && specialDays.bufferEveryDays > 0) {
+    parts.push(`Buffer after every ${specialDays.bufferEveryDays} day${specialDays.bufferEveryDays === 1 ? '' : 's'}`);
+  }
+  if (specialDays && specialDays.weeklyReview) {
+    parts.push('Weekly review');
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'None';
+}
+
+// Options passed to the planner for the wizard's current settings
+function getWizardPlanOptions() {
+  return {
+    startDate: appState.startDate || getTodayDateKey(),
+    weeklyMinutes: appState.weeklyMinutes,
+    ...(isWholeVideoMode(appState.mode) ? {} : (appState.splitOptions || DEFAULT_SPLIT_OPTIONS)),
+    ...appState.specialDays
+  };
+}
+
+// Plan settings chosen in the wizard (used when regenerating an existing plan)
+function getWizardPlanSettings() {
+  const planOptions = getWizardPlanOptions();
+  return {
+    mode: appState.mode,
+    dailyMinutes: appState.mode === 'custom' ? parseInt(elements.dailyWatchTimeInput.value) : appState.dailyWatchTime,
+    playbackSpeed: appState.playbackSpeed || 1.0,
+    videosPerDay: appState.mode === 'videos-per-day' ? appState.videosPerDay : null,
+    deadline: appState.deadline,
+    startDate: planOptions.startDate,
+    weeklyMinutes: planOptions.weeklyMinutes,
+    splitOptions: appState.splitOptions,
+    specialDays: appState.specialDays
+  };
+}
+
+// Daily minutes the wizard's deadline settings require at the selected speed
+function calculateWizardDeadlineMinutes() {
+  if (!appState.playlistData || !appState.deadline) return null;
+
+  // When editing, only the unwatched rest of the plan needs to fit
+  if (appState.editingPlanId) {
+    const plan = appState.plansCache.find(p => p.id === appState.editingPlanId);
+    const preview = plan ? regeneratePlanData(plan, getWizardPlanSettings()) : null;
+    return preview ? preview.dailyMinutes : null;
+  }
+
+  return findDailyMinutesForDeadline(getSelectedVideos(), appState.deadline, appState.playbackSpeed || 1.0, getWizardPlanOptions());
+}
+
+// Show how much daily time a deadline plan needs from today to stay on track
+function renderDeadlineBanner() {
+  const status = calculateDeadlineStatus({
+    planData: appState.plan,
+    deadline: appState.deadline,
+    playbackSpeed: appState.playbackSpeed,
+    weeklyMinutes: appState.weeklyMinutes,
+    dailyMinutes: appState.dailyWatchTime
+  });
+
+  if (!status) {
+    hideSection(elements.deadlineBanner);
+    return;
+  }
+
+  const deadlineLabel = formatDateKey(status.deadline);
+  let message;
+  if (status.remainingMinutes <= 0.01) {
+    message = `All done ahead of ${deadlineLabel}`;
+  } else if (status.requiredDailyMinutes === null) {
+    message = `Deadline ${deadlineLabel} has passed · ${formatMinutes(status.remainingMinutes)} left`;
+  } else if (status.isBehind) {
+    message = `Behind schedule · ${formatMinutes(status.requiredDailyMinutes)}/day needed to finish by ${deadlineLabel} (planned ${formatMinutes(appState.dailyWatchTime)})`;
+  } else {
+    message = `On track to finish by ${deadlineLabel} · ${formatMinutes(status.requiredDailyMinutes)}/day needed`;
+  }
+
+  elements.deadlineBanner.textContent = message;
+  elements.deadlineBanner.classList.toggle('behind', status.isBehind);
+  showSection(elements.deadlineBanner);
+}
+
+/**
+ * Offers to re-plan when segments from past days are still unfinished
+ * Each button previews its outcome: a later end date, or a higher daily time.
+ */
+function renderRebalancePanel() {
+  const overdueCount = countOverdueSegments(appState.plan);
+  if (overdueCount === 0) {
+    hideSection(elements.rebalancePanel);
+    return;
+  }
+
+  // Preview on the stored plan (as rebalancePlan will), with the checklist's current completion
+  const storedPlan = (appState.plansCache || []).find(plan => plan.id === appState.currentPlanId);
+  if (!storedPlan) {
+    hideSection(elements.rebalancePanel);
+    return;
+  }
+
+  const planSnapshot = { ...storedPlan, planData: appState.plan };
+  const extended = rebalancePlanData(planSnapshot, 'extend');
+  const compressed = rebalancePlanData(planSnapshot, 'compress');
+
+  if (!extended && !compressed) {
+    hideSection(elements.rebalancePanel);
+    return;
+  }
+
+  elements.rebalanceSummary.textContent = `${overdueCount} unfinished segment${overdueCount === 1 ? '' : 's'} from past days`;
+
+  if (extended) {
+    const endDate = extended.planData[extended.planData.length - 1].date;
+    elements.rebalanceExtendBtn.textContent = `Push end date to ${formatDateKey(endDate)}`;
+    showSection(elements.rebalanceExtendBtn);
+  } else {
+    hideSection(elements.rebalanceExtendBtn);
+  }
+
+  if (compressed) {
+    const endDate = compressed.planData[compressed.planData.length - 1].date;
+    elements.rebalanceCompressBtn.textContent = `Keep ${formatDateKey(endDate)} · ${formatMinutes(compressed.dailyMinutes)}/day`;
+    showSection(elements.rebalanceCompressBtn);
+  } else {
+    hideSection(elements.rebalanceCompressBtn);
+  }
+
+  showSection(elements.rebalancePanel);
+}
+
+async function handleRebalance(strategy) {
+  if (!appState.currentPlanId) return;
+
+  try {
+    const updatedPlan = await rebalancePlan(appState.currentPlanId, strategy);
+    if (!updatedPlan) {
+      showError('Could not rebalance this plan.');
+      return;
+    }
+
+    applyPlanToState(updatedPlan);
+    await loadAndDisplayPlans();
+    renderUI();
+    setTimeout(scrollToFirstIncompleteDay, 100);
+  } catch (error) {
+    console.error('Error rebalancing plan:', error);
+    showError('Could not rebalance this plan.');
+  }
+}
+
+// Auto-speed toggle plus the speed actually used, with a one-click re-plan at that speed
+function renderSpeedPanel() {
+  if (isWholeVideoMode(appState.mode)) {
+    hideSection(elements.speedPanel);
+    return;
+  }
+
+  const plannedSpeed = appState.playbackSpeed || 1;
+  elements.autoApplySpeedInput.checked = appState.autoApplySpeed;
+  elements.autoApplySpeedLabel.textContent = `Set YouTube to ${plannedSpeed}x on this plan's videos`;
+
+  const stats = appState.watchLedgerPlanId === appState.currentPlanId ? getPlanSpeedStats(appState.watchLedger) : null;
+  // Snap to a speed the wizard's slider can show so later edits keep it
+  const suggestedSpeed = stats
+    ? SPEED_VALUES.reduce((best, speed) => Math.abs(speed - stats.averageSpeed) < Math.abs(best - stats.averageSpeed) ? speed : best)
+    : null;
+  if (suggestedSpeed && suggestedSpeed !== plannedSpeed) {
+    elements.speedUsageText.textContent = `You actually watch at ${stats.averageSpeed}x`;
+    elements.adjustSpeedBtn.textContent = `Re-plan at ${suggestedSpeed}x`;
+    elements.adjustSpeedBtn.dataset.speed = suggestedSpeed;
+    showSection(elements.speedUsageRow);
+  } else {
+    hideSection(elements.speedUsageRow);
+  }
+
+  showSection(elements.speedPanel);
+}
+
+async function handleAutoApplySpeedChange() {
+  if (!appState.currentPlanId) return;
+
+  try {
+    await setPlanAutoApplySpeed(appState.currentPlanId, elements.autoApplySpeedInput.checked);
+    appState.autoApplySpeed = elements.autoApplySpeedInput.checked;
+    await loadAndDisplayPlans();
+  } catch (error) {
+    console.error('Error saving speed setting:', error);
+    showError('Could not save this setting.');
+  }
+}
+
+// Re-estimate the remaining days at the speed the ledger shows was really used
+async function handleAdjustSpeed() {
+  const speed = parseFloat(elements.adjustSpeedBtn.dataset.speed);
+  const plan = (appState.plansCache || []).find(p => p.id === appState.currentPlanId);
+  if (!plan || !speed) return;
+
+  try {
+    const updatedPlan = await regeneratePlan(plan.id, { ...getPlanSettings(plan), playbackSpeed: speed });
+    if (!updatedPlan) {
+      showError('Could not re-plan at this speed.');
+      return;
+    }
+
+    applyPlanToState(updatedPlan);
+    await loadAndDisplayPlans();
+    renderUI();
+  } catch (error) {
+    console.error('Error adjusting plan speed:', error);
+    showError('Could not re-plan at this speed.');
+  }
+}
+
+// Download the dated days of the current plan as calendar events
+async function handleExportIcs() {
+  const plan = (await getPlansData()).plans.find(p => p.id === appState.currentPlanId);
+  if (!plan) return;
+
+  const ics = buildPlanIcs(plan, elements.calendarStartInput.value);
+  if (!ics) {
+    showError('This plan has no dated days. Set a start date to export it to a calendar.');
+    return;
+  }
+  downloadFile(getExportFileName(plan, 'ics'), ics, 'text/calendar');
+}
+
+// Download the current plan as a Markdown checklist ('md') or CSV ('csv')
+async function handleExportChecklist(format) {
+  const plan = (await getPlansData()).plans.find(p => p.id === appState.currentPlanId);
+  if (!plan) return;
+
+  if (format === 'csv') {
+    downloadFile(getExportFileName(plan, 'csv'), buildPlanCsv(plan), 'text/csv');
+  } else {
+    downloadFile(getExportFileName(plan, 'md'), buildPlanMarkdown(plan), 'text/markdown');
+  }
+}
+
+// Start a "Play today's plan" session; the background worker opens YouTube
+function handlePlayToday() {
+  if (!appState.currentPlanId) return;
+
+  chrome.runtime.sendMessage({ type: 'START_TODAY_SESSION', planId: appState.currentPlanId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showError((response && response.error) || 'Could not start today\'s session.');
+      return;
+    }
+    window.close();
+  });
+}
+
 function clearActivePlanUI() {
   if (elements.planContainer) {
     elements.planContainer.innerHTML = '';
@@ -517,8 +1378,11 @@ function applyPlanToState(plan) {
     title: plan.title,
     videoCount: plan.totalVideos,
     totalDuration: totalDuration,
-    videos: []
+    playlists: Array.isArray(plan.playlists) ? plan.playlists : [],
+    // Copied so reordering in the video editor does not touch the cached plan
+    videos: Array.isArray(plan.videos) && plan.videos.length > 0 ? [...plan.videos] : buildVideoCatalog(plan.planData)
   };
+  appState.excludedVideoIds = Array.isArray(plan.excludedVideoIds) ? [...plan.excludedVideoIds] : [];
   appState.plan = Array.isArray(plan.planData) ? plan.planData.map(day => ({
     ...day,
     videos: Array.isArray(day.videos) ? [...day.videos] : []
@@ -526,23 +1390,146 @@ function applyPlanToState(plan) {
   appState.dailyWatchTime = plan.dailyMinutes || 0;
   elements.dailyWatchTimeInput.value = appState.dailyWatchTime || '';
   appState.playbackSpeed = plan.playbackSpeed || 1.0;
+  appState.autoApplySpeed = plan.autoApplySpeed !== false;
   appState.mode = plan.mode || 'custom';
+  appState.startDate = plan.startDate || null;
+  appState.weeklyMinutes = Array.isArray(plan.weeklyMinutes) ? plan.weeklyMinutes : null;
+  appState.deadline = plan.deadline || null;
+  appState.videosPerDay = plan.videosPerDay || DEFAULT_VIDEOS_PER_DAY;
+  appState.splitOptions = plan.splitOptions ? { ...DEFAULT_SPLIT_OPTIONS, ...plan.splitOptions } : { ...DEFAULT_SPLIT_OPTIONS };
+  appState.specialDays = { ...DEFAULT_SPECIAL_DAYS, ...(plan.specialDays || {}) };
 }
 
 function handleAddNewPlan() {
   appState.isAddingNewPlan = true;
+  appState.editingPlanId = null;
+  appState.isEditingVideos = false;
+  appState.excludedVideoIds = [];
   appState.playlistData = null;
   appState.plan = [];
   appState.wizardStep = 'enter-url';
   appState.mode = 'custom';
   appState.playbackSpeed = 1.0;
+  appState.startDate = null;
+  appState.weeklyMinutes = null;
+  appState.deadline = null;
+  appState.videosPerDay = DEFAULT_VIDEOS_PER_DAY;
+  appState.splitOptions = { ...DEFAULT_SPLIT_OPTIONS };
+  appState.specialDays = { ...DEFAULT_SPECIAL_DAYS };
   elements.playlistUrlInput.value = '';
+  elements.extraPlaylistList.innerHTML = '';
   elements.dailyWatchTimeInput.value = '';
+  elements.deadlineInput.value = '';
   hideError();
   hideSuccessScreen();
   renderUI();
 }
 
+// Open the wizard on the active plan's settings
+function handleEditPlanSettings() {
+  const plan = appState.plansCache.find(p => p.id === appState.currentPlanId);
+  if (!plan) return;
+
+  applyPlanToState(plan);
+  appState.editingPlanId = plan.id;
+  appState.isAddingNewPlan = true;
+  appState.wizardStep = 'mode-picker';
+
+  // New settings apply from today; past days keep what was watched
+  const todayKey = getTodayDateKey();
+  if (!appState.startDate || diffDateKeys(appState.startDate, todayKey) > 0) {
+    appState.startDate = todayKey;
+  }
+  elements.deadlineInput.value = appState.deadline || '';
+
+  hideError();
+  renderUI();
+}
+
+// Open the video list editor on the active plan
+function handleEditPlanVideos() {
+  const plan = appState.plansCache.find(p => p.id === appState.currentPlanId);
+  if (!plan) return;
+
+  applyPlanToState(plan);
+  appState.editingPlanId = plan.id;
+  appState.isEditingVideos = true;
+  appState.isAddingNewPlan = true;
+  appState.wizardStep = 'video-list';
+
+  hideError();
+  renderUI();
+}
+
+async function handleSavePlanVideos() {
+  elements.videoListNextBtn.disabled = true;
+  hideError();
+
+  try {
+    const updatedPlan = await updatePlanVideos(appState.editingPlanId, appState.playlistData.videos, appState.excludedVideoIds);
+    if (!updatedPlan) {
+      showError('Could not update the plan with this video list.');
+      return;
+    }
+
+    appState.editingPlanId = null;
+    appState.isEditingVideos = false;
+    appState.isAddingNewPlan = false;
+    applyPlanToState(updatedPlan);
+    await loadAndDisplayPlans();
+    renderUI();
+  } catch (error) {
+    showError(`Error updating plan: ${error.message}`);
+    console.error('Plan update error:', error);
+  } finally {
+    elements.videoListNextBtn.disabled = false;
+  }
+}
+
+// Leave the edit wizard and show the plan as stored
+function exitPlanEditing() {
+  const plan = appState.plansCache.find(p => p.id === appState.editingPlanId);
+  appState.editingPlanId = null;
+  appState.isEditingVideos = false;
+  appState.isAddingNewPlan = false;
+  if (plan) {
+    applyPlanToState(plan);
+  }
+  renderUI();
+}
+
+async function handleSavePlanSettings() {
+  const generateButton = elements.generatePlanBtn;
+  generateButton.disabled = true;
+  hideError();
+
+  try {
+    const settings = getWizardPlanSettings();
+    if (settings.mode === 'custom' && (!settings.dailyMinutes || settings.dailyMinutes <= 0)) {
+      showError('Please enter a valid daily watch time');
+      return;
+    }
+
+    const updatedPlan = await regeneratePlan(appState.editingPlanId, settings);
+    if (!updatedPlan) {
+      showError('Could not regenerate the plan with these settings.');
+      return;
+    }
+
+    appState.editingPlanId = null;
+    appState.isAddingNewPlan = false;
+    applyPlanToState(updatedPlan);
+    await loadAndDisplayPlans();
+    renderUI();
+    setTimeout(scrollToFirstIncompleteDay, 100);
+  } catch (error) {
+    showError(`Error updating plan: ${error.message}`);
+    console.error('Plan update error:', error);
+  } finally {
+    generateButton.disabled = false;
+  }
+}
+
 // ========================================
 // Plans Management Functions
 // ========================================
@@ -577,58 +1564,17 @@ async function loadAndDisplayPlans() {
 }
 
 async function restoreActivePlan() {
-  if (!appState.currentPlanId) {
-    clearActivePlanUI();
-    return;
-  }
+  const activePlan = appState.currentPlanId
+    ? appState.plansCache.find(plan => plan.id === appState.currentPlanId) || await getActivePlan()
+    : null;
 
-  if (appState.currentPlanId) {
-    const activePlan = appState.plansCache.find(plan => plan.id === appState.currentPlanId) || await getActivePlan();
-    if (activePlan) {
-      // Merge legacy saved completion (planData) when it matches the active plan
-      try {
-        const legacyPlanData = await getFromStorage('planData');
-        const legacyHasPlan = legacyPlanData && Array.isArray(legacyPlanData.plan) && legacyPlanData.plan.length > 0;
-        const matchesByTitle = legacyPlanData?.playlistData?.title && legacyPlanData.playlistData.title === activePlan.title;
-        const matchesByPlaylistId = legacyPlanData?.playlistData?.id && legacyPlanData.playlistData.id === activePlan.playlistUrl;
-        const sameLength = Array.isArray(activePlan.planData) && legacyPlanData?.plan?.length === activePlan.planData.length;
-
-        if (legacyHasPlan && sameLength && (matchesByTitle || matchesByPlaylistId)) {
-          activePlan.planData = legacyPlanData.plan;
-          await updatePlanData(activePlan.id, legacyPlanData.plan);
-        }
-      } catch (error) {
-        console.error('Error syncing legacy plan data:', error);
-      }
-      activePlan.progress = deriveProgressFromPlanData(activePlan.planData);
-      applyPlanToState(activePlan);
-      return;
-    }
-  }
-
-  const savedPlanData = await getFromStorage('planData');
-  if (savedPlanData && savedPlanData.plan && savedPlanData.plan.length > 0) {
-    appState.playlistData = savedPlanData.playlistData;
-    appState.plan = savedPlanData.plan;
-    appState.dailyWatchTime = savedPlanData.dailyWatchTime;
-    appState.currentPlanId = appState.currentPlanId || 'legacy-plan';
-    appState.plansCache = appState.plansCache.length > 0 ? appState.plansCache : [
-      {
-        id: 'legacy-plan',
-        title: savedPlanData.playlistData?.title || 'Saved Plan',
-        playlistUrl: savedPlanData.playlistData?.url || savedPlanData.playlistData?.id || '',
-        totalVideos: savedPlanData.playlistData?.videoCount || 0,
-        totalDays: savedPlanData.plan.length,
-        dailyMinutes: savedPlanData.dailyWatchTime,
-        progress: deriveProgressFromPlanData(savedPlanData.plan),
-        planData: savedPlanData.plan
-      }
-    ];
-    renderPlansList(appState.plansCache, appState.currentPlanId);
+  if (!activePlan) {
+    clearActivePlanUI();
     return;
   }
 
-  clearActivePlanUI();
+  activePlan.progress = deriveProgressFromPlanData(activePlan.planData);
+  applyPlanToState(activePlan);
 }
 
 function renderPlansList(plans, activePlanId) {
@@ -693,6 +1639,8 @@ async function handlePlanSelect(planId, plan) {
     await setActivePlan(planId);
     appState.currentPlanId = planId;
     appState.isAddingNewPlan = false;
+    appState.editingPlanId = null;
+    appState.isEditingVideos = false;
 
     applyPlanToState(plan);
     
@@ -773,19 +1721,21 @@ function updateProgressBar(planId) {
 // Handler Functions
 // ========================================
 async function handleFetchPlaylist() {
-  const url = elements.playlistUrlInput.value.trim();
+  const urls = getEnteredPlaylistUrls();
   
-  if (!url) {
+  if (urls.length === 0) {
     showError('Please enter a playlist URL');
     return;
   }
   
-  // Extract playlist ID from URL
-  const playlistId = extractPlaylistId(url);
-  if (!playlistId) {
+  // Extract playlist IDs from URLs (in the order entered)
+  const playlistIds = urls.map(extractPlaylistId);
+  if (playlistIds.some(id => !id)) {
     showError('Invalid playlist URL. Use format: https://www.youtube.com/playlist?list=...');
     return;
   }
+  const uniquePlaylistIds = [...new Set(playlistIds)];
+  const playlistId = uniquePlaylistIds[0];
 
   if (appState.isFetching) return;
   
@@ -795,7 +1745,7 @@ async function handleFetchPlaylist() {
     hideError();
     
     // Fetch complete playlist data from backend (includes videos with durations)
-    const playlistData = await fetchPlaylistData(playlistId);
+    const playlistData = await fetchCombinedPlaylistData(uniquePlaylistIds);
     
     // Backend already provides durationMinutes, so calculate total
     const totalDurationMinutes = playlistData.videos.reduce((sum, video) => sum + video.durationMinutes, 0);
@@ -810,10 +1760,15 @@ async function handleFetchPlaylist() {
       title: playlistData.title,
       videoCount: playlistData.videoCount,
       totalDuration: totalDurationMinutes,
-      videos: playlistData.videos
+      videos: playlistData.videos,
+      playlists: playlistData.playlists.map(playlist => ({
+        ...playlist,
+        url: `https://www.youtube.com/playlist?list=${playlist.id}`
+      }))
     };
     
-    appState.wizardStep = 'mode-picker';
+    appState.excludedVideoIds = [];
+    appState.wizardStep = 'video-list';
     renderUI();
     showLoading(false);
     
@@ -826,6 +1781,47 @@ async function handleFetchPlaylist() {
   }
 }
 
+// Playlist URLs from the main input and any extra rows, in order
+function getEnteredPlaylistUrls() {
+  const inputs = [elements.playlistUrlInput, ...elements.extraPlaylistList.querySelectorAll('.extra-playlist-input')];
+  return inputs.map(input => input.value.trim()).filter(Boolean);
+}
+
+// Add a row for one more playlist; rows can move up or be removed to set the order
+function addExtraPlaylistInput(value = '') {
+  const row = document.createElement('div');
+  row.className = 'extra-playlist-row';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'extra-playlist-input';
+  input.placeholder = 'https://www.youtube.com/playlist?list=...';
+  input.autocomplete = 'off';
+  input.value = value;
+
+  const moveUpBtn = document.createElement('button');
+  moveUpBtn.type = 'button';
+  moveUpBtn.textContent = '↑';
+  moveUpBtn.setAttribute('aria-label', 'Move playlist up');
+  moveUpBtn.addEventListener('click', () => {
+    const previousRow = row.previousElementSibling;
+    const previousInput = previousRow ? previousRow.querySelector('input') : elements.playlistUrlInput;
+    [previousInput.value, input.value] = [input.value, previousInput.value];
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.textContent = '×';
+  removeBtn.setAttribute('aria-label', 'Remove playlist');
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(input);
+  row.appendChild(moveUpBtn);
+  row.appendChild(removeBtn);
+  elements.extraPlaylistList.appendChild(row);
+  return input;
+}
+
 async function handleGeneratePlan() {
   const generateButton = elements.generatePlanBtn;
   if (generateButton) {
@@ -834,7 +1830,12 @@ async function handleGeneratePlan() {
   hideError();
   hideSuccessScreen();
 
-  const dailyTime = appState.mode === 'video-by-video' ? 0 : parseInt(elements.dailyWatchTimeInput.value);
+  let dailyTime = 0;
+  if (appState.mode === 'custom') {
+    dailyTime = parseInt(elements.dailyWatchTimeInput.value);
+  } else if (appState.mode === 'deadline') {
+    dailyTime = calculateWizardDeadlineMinutes();
+  }
   let shouldClose = false;
   
   try {
@@ -842,6 +1843,11 @@ async function handleGeneratePlan() {
       showError('Please enter a valid daily watch time');
       return;
     }
+
+    if (appState.mode === 'deadline' && !dailyTime) {
+      showError('Could not fit the playlist before your finish date. Please pick a later date.');
+      return;
+    }
     
     if (!appState.playlistData || !appState.playlistData.videos) {
       showError('Please fetch a playlist first');
@@ -853,14 +1859,19 @@ async function handleGeneratePlan() {
       return;
     }
 
+    const videos = getSelectedVideos();
+
     const speed = appState.playbackSpeed || 1.0;
+    const planOptions = getWizardPlanOptions();
     
     // Generate plan
     let plan = [];
     if (appState.mode === 'video-by-video') {
-      plan = generateVideoByVideoplan(appState.playlistData.videos);
+      plan = generateVideoByVideoplan(videos, planOptions);
+    } else if (appState.mode === 'videos-per-day') {
+      plan = generateVideosPerDayPlan(videos, appState.videosPerDay, planOptions);
     } else {
-      plan = generateDayWisePlan(appState.playlistData.videos, dailyTime, speed);
+      plan = generateDayWisePlan(videos, dailyTime, speed, planOptions);
     }
     
     if (plan.length === 0) {
@@ -872,22 +1883,22 @@ async function handleGeneratePlan() {
     appState.plan = plan;
     appState.dailyWatchTime = dailyTime;
 
-    // Save to storage for persistence (legacy + compatibility)
-    await saveToStorage('planData', {
-      playlistData: appState.playlistData,
-      plan: appState.plan,
-      dailyWatchTime: appState.dailyWatchTime,
-      playbackSpeed: appState.mode === 'video-by-video' ? null : speed,
-      mode: appState.mode
-    });
-    
     // Save as a new plan in the plans system (atomic activePlanId update)
     const newPlan = await createPlan(
       appState.playlistData,
       dailyTime,
       plan,
-      appState.mode === 'video-by-video' ? null : speed,
-      appState.mode
+      isWholeVideoMode(appState.mode) ? null : speed,
+      appState.mode,
+      {
+        startDate: planOptions.startDate,
+        weeklyMinutes: planOptions.weeklyMinutes,
+        deadline: appState.deadline,
+        splitOptions: isWholeVideoMode(appState.mode) ? null : appState.splitOptions,
+        specialDays: appState.specialDays,
+        videosPerDay: appState.mode === 'videos-per-day' ? appState.videosPerDay : null,
+        excludedVideoIds: appState.excludedVideoIds
+      }
     );
     appState.currentPlanId = newPlan.id;
 
@@ -921,6 +1932,118 @@ async function handleReset() {
   }
 }
 
+/**
+ * Fill the settings panel from stored settings
+ */
+async function loadSettingsPanel() {
+  try {
+    const settings = await getSettings();
+    elements.autoCompleteInput.checked = settings.autoCompleteSegments;
+    elements.completionThresholdInput.value = Math.round(settings.completionThreshold * 100);
+    elements.completionThresholdInput.disabled = !settings.autoCompleteSegments;
+    elements.syncEnabledInput.checked = settings.syncEnabled;
+    elements.syncStatusText.textContent = settings.syncEnabled ? formatSyncStatus(await getSyncStatus()) : '';
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+function formatSyncStatus(status) {
+  if (status.error) return `Sync failed: ${status.error}`;
+  if (!status.lastSyncedAt) return 'Waiting for first sync…';
+  return `Last synced ${new Date(status.lastSyncedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+}
+
+async function handleSettingsChange() {
+  try {
+    const percent = parseInt(elements.completionThresholdInput.value);
+    await updateSettings({
+      autoCompleteSegments: elements.autoCompleteInput.checked,
+      syncEnabled: elements.syncEnabledInput.checked,
+      completionThreshold: isNaN(percent) ? DEFAULT_SETTINGS.completionThreshold : percent / 100
+    });
+    await loadSettingsPanel();
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showError('Could not save settings.');
+  }
+}
+
+/**
+ * Download all plans as a versioned JSON file
+ */
+async function handleExportPlans() {
+  try {
+    const data = await buildPlansExport();
+    downloadFile(`planyt-plans-${getTodayDateKey()}.json`, JSON.stringify(data, null, 2), 'application/json');
+
+    elements.backupStatus.textContent = `Exported ${data.plans.length} plan${data.plans.length === 1 ? '' : 's'}.`;
+  } catch (error) {
+    console.error('Error exporting plans:', error);
+    showError('Could not export plans.');
+  }
+}
+
+/**
+ * Read and validate an import file; ask how to resolve conflicts before saving
+ */
+async function handleImportFile(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showError('Import failed: the file is not valid JSON.');
+    return;
+  }
+
+  const validation = validatePlansImport(data);
+  if (!validation.valid) {
+    showError(`Import failed: ${validation.error}.`);
+    return;
+  }
+
+  const conflicts = findImportConflicts((await getPlansData()).plans, data.plans);
+  appState.pendingImport = data;
+
+  if (conflicts.length === 0) {
+    await finishImport('skip');
+    return;
+  }
+
+  const count = conflicts.length;
+  elements.importConflictSummary.textContent = `${count} imported plan${count === 1 ? '' : 's'} match${count === 1 ? 'es' : ''} a saved plan or playlist`;
+  showSection(elements.importConflictPanel);
+}
+
+async function finishImport(resolution) {
+  const data = appState.pendingImport;
+  appState.pendingImport = null;
+  hideSection(elements.importConflictPanel);
+  if (!data) return;
+
+  try {
+    const result = await importPlans(data, resolution);
+    const parts = [`${result.added} added`];
+    if (result.replaced) parts.push(`${result.replaced} replaced`);
+    if (result.skipped) parts.push(`${result.skipped} skipped`);
+    elements.backupStatus.textContent = `Import done: ${parts.join(', ')}.`;
+
+    await loadAndDisplayPlans();
+    const activePlan = appState.plansCache.find(plan => plan.id === appState.currentPlanId);
+    if (activePlan) {
+      applyPlanToState(activePlan);
+    }
+    renderUI();
+  } catch (error) {
+    console.error('Error importing plans:', error);
+    showError('Could not import plans.');
+  }
+}
+
 // ========================================
 // UI Helper Functions
 // ========================================
@@ -974,6 +2097,18 @@ function showMessage(message, type = 'info') {
   console.log(`[${type.toUpperCase()}] ${message}`);
 }
 
+/**
+ * Save generated text through the browser's download flow
+ */
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function showSection(section) {
   section.classList.remove('hidden');
 }
@@ -1049,6 +2184,43 @@ function renderPlan(plan) {
   });
 
   setTimeout(scrollToFirstIncompleteDay, 0);
+  refreshWatchLedger();
+}
+
+// Load the current plan's watch-time ledger and redraw the days it covers
+async function refreshWatchLedger() {
+  const planId = appState.currentPlanId;
+  if (!planId) return;
+
+  try {
+    const ledger = await getWatchLedger(planId);
+    if (planId !== appState.currentPlanId) return;
+
+    appState.watchLedger = ledger;
+    appState.watchLedgerPlanId = planId;
+    renderSpeedPanel();
+    appState.plan.forEach((dayData, index) => {
+      if (getDayWatchStats(ledger, dayData)) {
+        replaceDayCard(index, dayData);
+      }
+    });
+  } catch (error) {
+    console.error('Error loading watch ledger:', error);
+  }
+}
+
+// Planned vs actual minutes (and the speed really used) for a day, if anything was watched
+function createDayWatchTime(dayData) {
+  if (appState.watchLedgerPlanId !== appState.currentPlanId) return null;
+
+  const stats = getDayWatchStats(appState.watchLedger, dayData);
+  if (!stats) return null;
+
+  const row = document.createElement('div');
+  row.className = `day-watch-time ${stats.actualMinutes > dayData.totalTime ? 'over' : ''}`;
+  const speed = stats.actualSpeed ? ` at ${stats.actualSpeed}x` : '';
+  row.textContent = `Planned ${formatMinutes(dayData.totalTime)} · Actual ${formatMinutes(stats.actualMinutes)}${speed}`;
+  return row;
 }
 
 function replaceDayCard(index, newDayData) {
@@ -1060,6 +2232,10 @@ function replaceDayCard(index, newDayData) {
 }
 
 function createDayCard(dayData, index) {
+  if (getDayType(dayData) !== DAY_TYPE_WATCH) {
+    return createSpecialDayCard(dayData, index);
+  }
+
   const card = document.createElement('div');
   card.className = `day-card ${dayData.completed ? 'completed' : ''}`;
   card.dataset.dayIndex = index;
@@ -1071,6 +2247,13 @@ function createDayCard(dayData, index) {
   const title = document.createElement('div');
   title.className = 'day-title';
   title.textContent = `Day ${dayData.day}`;
+
+  if (dayData.date) {
+    const dateLabel = document.createElement('span');
+    dateLabel.className = 'day-date';
+    dateLabel.textContent = formatDateKey(dayData.date);
+    title.appendChild(dateLabel);
+  }
   
   const duration = document.createElement('div');
   duration.className = 'day-duration';
@@ -1079,6 +2262,11 @@ function createDayCard(dayData, index) {
   header.appendChild(title);
   header.appendChild(duration);
   card.appendChild(header);
+
+  const watchTime = createDayWatchTime(dayData);
+  if (watchTime) {
+    card.appendChild(watchTime);
+  }
   
   // Video list
   const videoList = document.createElement('ul');
@@ -1089,7 +2277,7 @@ function createDayCard(dayData, index) {
     const videoItem = document.createElement('li');
     videoItem.className = `video-item ${video.completed ? 'video-completed' : ''}`;
     
-    if (appState.mode === 'custom') {
+    if (appState.mode !== 'video-by-video') {
       // Create sub-checkbox
       const videoCheckbox = document.createElement('input');
       videoCheckbox.type = 'checkbox';
@@ -1133,6 +2321,15 @@ function createDayCard(dayData, index) {
       }
       
       contentContainer.appendChild(metaDiv);
+
+      if (video.isPartial && Array.isArray(video.chapterTitles) && video.chapterTitles.length > 0) {
+        const chaptersLabel = document.createElement('span');
+        chaptersLabel.className = 'video-chapters';
+        chaptersLabel.textContent = video.chapterTitles.join(' · ');
+        chaptersLabel.title = 'Chapters in this segment';
+        contentContainer.appendChild(chaptersLabel);
+      }
+
       videoItem.appendChild(contentContainer);
     } else {
       // Video-by-video mode
@@ -1150,8 +2347,13 @@ function createDayCard(dayData, index) {
   });
   
   card.appendChild(videoList);
+  card.appendChild(createDayCompletionCheckbox(dayData, index));
   
-  // Checkbox for completion
+  return card;
+}
+
+// Checkbox for completion
+function createDayCompletionCheckbox(dayData, index) {
   const checkboxContainer = document.createElement('div');
   checkboxContainer.className = 'checkbox-container';
   
@@ -1167,11 +2369,74 @@ function createDayCard(dayData, index) {
   
   checkboxContainer.appendChild(checkbox);
   checkboxContainer.appendChild(label);
-  card.appendChild(checkboxContainer);
-  
+  return checkboxContainer;
+}
+
+// Buffer and review days: no new videos, shown with their own style
+function createSpecialDayCard(dayData, index) {
+  const type = getDayType(dayData);
+  const card = document.createElement('div');
+  card.className = `day-card day-card-${type} ${dayData.completed ? 'completed' : ''}`;
+  card.dataset.dayIndex = index;
+
+  const header = document.createElement('div');
+  header.className = 'day-header';
+
+  const title = document.createElement('div');
+  title.className = 'day-title';
+  title.textContent = `Day ${dayData.day}`;
+
+  if (dayData.date) {
+    const dateLabel = document.createElement('span');
+    dateLabel.className = 'day-date';
+    dateLabel.textContent = formatDateKey(dayData.date);
+    title.appendChild(dateLabel);
+  }
+
+  const badge = document.createElement('div');
+  badge.className = 'day-type-badge';
+  badge.textContent = type === DAY_TYPE_REVIEW ? 'Review' : 'Buffer';
+
+  header.appendChild(title);
+  header.appendChild(badge);
+  card.appendChild(header);
+
+  const note = document.createElement('p');
+  note.className = 'special-day-note';
+  card.appendChild(note);
+
+  if (type === DAY_TYPE_REVIEW) {
+    const reviewVideos = getReviewVideos(appState.plan, index);
+    note.textContent = reviewVideos.length > 0
+      ? 'Look back over what you completed this week:'
+      : 'Nothing completed this week yet.';
+
+    const videoList = document.createElement('ul');
+    videoList.className = 'video-list';
+    reviewVideos.forEach(video => {
+      const videoItem = document.createElement('li');
+      videoItem.className = 'video-item';
+      videoItem.textContent = video.title;
+      videoList.appendChild(videoItem);
+    });
+    card.appendChild(videoList);
+  } else {
+    note.textContent = 'No new videos. Catch up on anything unfinished or take a break.';
+  }
+
+  card.appendChild(createDayCompletionCheckbox(dayData, index));
   return card;
 }
 
+// Review cards list completed videos, so they change when earlier days do
+function refreshReviewDayCards() {
+  appState.plan.forEach((dayData, index) => {
+    if (getDayType(dayData) === DAY_TYPE_REVIEW) {
+      replaceDayCard(index, dayData);
+    }
+  });
+}
+
 async function handleVideoCompletion(dayIndex, videoIndex, completed) {
   if (appState.isUpdatingCompletion) return;
   if (!appState.plan[dayIndex] || !appState.plan[dayIndex].videos[videoIndex]) return;
@@ -1183,8 +2448,9 @@ async function handleVideoCompletion(dayIndex, videoIndex, completed) {
     const allCompleted = appState.plan[dayIndex].videos.every(v => v.completed === true);
     appState.plan[dayIndex].completed = allCompleted;
 
-    // Re-render only this card
+    // Re-render only this card (and review cards that list it)
     replaceDayCard(dayIndex, appState.plan[dayIndex]);
+    refreshReviewDayCards();
 
     // Save to storage using API helper
     if (appState.currentPlanId) {
@@ -1194,6 +2460,8 @@ async function handleVideoCompletion(dayIndex, videoIndex, completed) {
 
     // Update progress bar
     updateProgressBar(appState.currentPlanId);
+    renderDeadlineBanner();
+    renderRebalancePanel();
 
     // Auto-scroll if the day was completed
     if (allCompleted) {
@@ -1220,8 +2488,9 @@ async function handleDayCompletion(dayIndex, completed) {
       });
     }
 
-    // Re-render only this card
+    // Re-render only this card (and review cards that list it)
     replaceDayCard(dayIndex, appState.plan[dayIndex]);
+    refreshReviewDayCards();
 
     // Save to storage using API helper
     if (appState.currentPlanId) {
@@ -1231,6 +2500,8 @@ async function handleDayCompletion(dayIndex, completed) {
     
     // Update progress bar
     updateProgressBar(appState.currentPlanId);
+    renderDeadlineBanner();
+    renderRebalancePanel();
     
     // Auto-scroll to next incomplete day
     setTimeout(scrollToFirstIncompleteDay, 100);